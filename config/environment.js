@@ -16,6 +16,50 @@ export function getConfig(env) {
         unituneApiEndpoint: env.UNITUNE_API_ENDPOINT || 'https://api.unitune.art/v1-alpha.1/links',
         unitunePlaylistEndpoint: env.UNITUNE_PLAYLIST_API_ENDPOINT || 'https://api.unitune.art/v1/playlists',
 
+        // Fallback metadata API in Odesli/song.link format (set to an empty string to disable)
+        odesliApiEndpoint: env.ODESLI_API_ENDPOINT ?? 'https://api.song.link/v1-alpha.1/links',
+        odesliApiKey: env.ODESLI_API_KEY || null,
+
+        // Metadata upstreams in failover order (adapter names from utils/upstream_adapters.js)
+        metadataUpstreamOrder: (env.METADATA_UPSTREAM_ORDER || 'unitune,odesli')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean),
+
+        // Song metadata cache (stale-while-revalidate)
+        // Entries are served directly while fresh, then served stale and refreshed in the background
+        metadataCacheFreshSeconds: parseInt(env.METADATA_CACHE_FRESH_SECONDS, 10) || 86400, // 24 hours
+        metadataCacheStaleSeconds: parseInt(env.METADATA_CACHE_STALE_SECONDS, 10) || 604800, // 7 days
+
+        // Upstream resilience (see utils/upstream_client.js)
+        upstreamTimeoutMs: parseInt(env.UPSTREAM_TIMEOUT_MS, 10) || 5000,
+        upstreamMaxRetries: Math.max(0, parseInt(env.UPSTREAM_MAX_RETRIES ?? '2', 10) || 0),
+        circuitBreakerThreshold: parseInt(env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5, // consecutive failed calls
+        circuitBreakerCooldownSeconds: parseInt(env.CIRCUIT_BREAKER_COOLDOWN_SECONDS, 10) || 30,
+
+        // Secret for the rate limit keys (HMAC of the client IP, see security/rate_limiter.js)
+        // Set with `wrangler secret put RATE_LIMIT_SECRET`. Outside production a fixed development
+        // value is used; in production there is no fixed fallback (a public key would let anyone
+        // reverse the hashed IPv4 addresses): without the secret a random one is generated and kept
+        // in the rate limit store (getRateLimitSecret)
+        rateLimitSecret: env.RATE_LIMIT_SECRET
+            || ((env.ENVIRONMENT || 'production') === 'production' ? null : 'unitune-local-rate-limit-secret'),
+
+        // Clients never rate limited (our own uptime monitoring), see security/rate_limiter.js
+        // Comma-separated exact IPs, and ASNs as "13335" or "AS13335"
+        rateLimitAllowlistIps: (env.RATE_LIMIT_ALLOWLIST_IPS || '')
+            .split(',')
+            .map(ip => ip.trim())
+            .filter(Boolean),
+        rateLimitAllowlistAsns: (env.RATE_LIMIT_ALLOWLIST_ASNS || '')
+            .split(',')
+            .map(asn => parseInt(asn.trim().replace(/^AS/i, ''), 10))
+            .filter(asn => !Number.isNaN(asn)),
+
+        // Ko-fi webhook verification token (Ko-fi > Settings > API > Webhooks), set as a secret
+        // Without it the webhook rejects every call
+        kofiVerificationToken: env.KOFI_VERIFICATION_TOKEN || null,
+
         // Worker version for debugging
         workerVersion: env.WORKER_VERSION || '2.2.0',
 
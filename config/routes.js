@@ -0,0 +1,248 @@
+import { CACHE_CONFIG } from '../security/cache_headers.js';
+import { SECURITY_HEADER_PROFILES } from '../security/headers.js';
+import { RATE_LIMIT_POLICIES } from '../security/rate_limiter.js';
+import { CORS_POLICIES } from '../utils/middleware.js';
+import { handleShareLink } from '../handlers/share_link_handler.js';
+import { handlePlaylistLink } from '../handlers/playlist_link_handler.js';
+import { handleApiProxy } from '../handlers/api_proxy_handler.js';
+import { handleEncode } from '../handlers/encode_handler.js';
+import { handleDonationsAPI } from '../handlers/donations_api_handler.js';
+import { handleKofiWebhook } from '../handlers/kofi_webhook_handler.js';
+import { handleVersion } from '../handlers/version_handler.js';
+import {
+    handleHealth,
+    handlePrivacy,
+    handleAppPrivacy,
+    handleAdsTxt,
+    handleAppAdsTxt,
+    handleAssetLinks,
+    handleAppleAppSiteAssociation,
+    handleHomepage,
+    handleAbout,
+    handleContact,
+    handleFaq,
+    handleHowItWorks,
+    handleFeatures
+} from '../handlers/static_handler.js';
+
+const { HTML, API } = SECURITY_HEADER_PROFILES;
+
+/**
+ * Route table (matched in order by utils/router.js)
+ *
+ * Each route declares:
+ * - methods: methods the handler serves (HEAD and OPTIONS are answered by the router)
+ * - path: pattern with :param (one segment) and :param+ (rest of the path)
+ * - rateLimit: policy from RATE_LIMIT_POLICIES, or null
+ * - cors: policy from CORS_POLICIES, or null (no cross-origin access)
+ * - cache: CACHE_CONFIG entry used when the handler sets no Cache-Control, or null
+ * - securityHeaders: profile from SECURITY_HEADER_PROFILES
+ * - handler: (context) => Response, context as described in utils/router.js
+ */
+export const ROUTES = [
+    // Health check (monitoring, never cached)
+    {
+        methods: ['GET'],
+        path: '/health',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.API_RESPONSES,
+        securityHeaders: API,
+        handler: ({ request, config }) => handleHealth(request, config),
+    },
+
+    // Privacy policies
+    {
+        methods: ['GET'],
+        path: '/privacy',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.PRIVACY_POLICY,
+        securityHeaders: HTML,
+        handler: ({ request }) => handlePrivacy(request),
+    },
+    {
+        methods: ['GET'],
+        path: '/privacy-app',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.PRIVACY_POLICY,
+        securityHeaders: HTML,
+        handler: ({ request }) => handleAppPrivacy(request),
+    },
+
+    // ads.txt for Google AdSense, app-ads.txt for Google AdMob
+    {
+        methods: ['GET'],
+        path: '/ads.txt',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: API,
+        handler: ({ request, config }) => handleAdsTxt(request, config),
+    },
+    {
+        methods: ['GET'],
+        path: '/app-ads.txt',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: API,
+        handler: ({ request, config }) => handleAppAdsTxt(request, config),
+    },
+
+    // Android App Links and iOS Universal Links verification
+    {
+        methods: ['GET'],
+        path: '/.well-known/assetlinks.json',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: API,
+        handler: ({ request }) => handleAssetLinks(request),
+    },
+    {
+        methods: ['GET'],
+        path: '/.well-known/apple-app-site-association',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: API,
+        handler: ({ request }) => handleAppleAppSiteAssociation(request),
+    },
+
+    // Content pages
+    {
+        methods: ['GET'],
+        path: '/about',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: HTML,
+        handler: ({ request, config }) => handleAbout(request, config),
+    },
+    {
+        methods: ['GET'],
+        path: '/contact',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: HTML,
+        handler: ({ request, config }) => handleContact(request, config),
+    },
+    {
+        methods: ['GET'],
+        path: '/faq',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: HTML,
+        handler: ({ request, config }) => handleFaq(request, config),
+    },
+    {
+        methods: ['GET'],
+        path: '/how-it-works',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: HTML,
+        handler: ({ request, config }) => handleHowItWorks(request, config),
+    },
+    {
+        methods: ['GET'],
+        path: '/features',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.STATIC_ASSETS,
+        securityHeaders: HTML,
+        handler: ({ request, config }) => handleFeatures(request, config),
+    },
+
+    // Song metadata proxy for the share page script (avoids CORS issues with the UniTune API)
+    {
+        methods: ['GET'],
+        path: '/api/song',
+        rateLimit: RATE_LIMIT_POLICIES.SONG_LOOKUP,
+        cors: CORS_POLICIES.SITE,
+        cache: CACHE_CONFIG.API_RESPONSES,
+        securityHeaders: API,
+        handler: ({ request, url, config, env, ctx }) => handleApiProxy(request, url, config, env, ctx),
+    },
+
+    // Share link encoder (platform URL -> /s/ link)
+    {
+        methods: ['GET', 'POST'],
+        path: '/api/encode',
+        rateLimit: RATE_LIMIT_POLICIES.API,
+        cors: CORS_POLICIES.PUBLIC,
+        cache: CACHE_CONFIG.API_RESPONSES,
+        securityHeaders: API,
+        handler: ({ request, url, config }) => handleEncode(request, url, config),
+    },
+
+    // Donation goal and recent donors
+    {
+        methods: ['GET'],
+        path: '/api/donations',
+        rateLimit: RATE_LIMIT_POLICIES.API,
+        cors: CORS_POLICIES.PUBLIC,
+        cache: CACHE_CONFIG.PUBLIC_API,
+        securityHeaders: API,
+        handler: ({ request, config, env }) => handleDonationsAPI(request, config, env),
+    },
+
+    // Ko-fi webhook (server to server)
+    {
+        methods: ['POST'],
+        path: '/api/kofi-webhook',
+        rateLimit: null,
+        cors: null,
+        cache: CACHE_CONFIG.API_RESPONSES,
+        securityHeaders: API,
+        handler: ({ request, config, env }) => handleKofiWebhook(request, config, env),
+    },
+
+    // App version info — no user data processed
+    {
+        methods: ['GET'],
+        path: '/api/version',
+        rateLimit: RATE_LIMIT_POLICIES.API,
+        cors: CORS_POLICIES.PUBLIC,
+        cache: CACHE_CONFIG.PUBLIC_API,
+        securityHeaders: API,
+        handler: ({ request }) => handleVersion(request),
+    },
+
+    // Share links: /s/{encodedUrl} (streamed pages set their own caching)
+    {
+        methods: ['GET'],
+        path: '/s/:encoded+',
+        rateLimit: RATE_LIMIT_POLICIES.PAGES,
+        cors: null,
+        cache: null,
+        securityHeaders: HTML,
+        handler: ({ request, url, config, env, ctx }) => handleShareLink(url.pathname, request, config, env, ctx),
+    },
+
+    // Playlist links: /p/{playlistId} (everything after /p/ is passed on to the handler)
+    {
+        methods: ['GET'],
+        path: '/p/:id+',
+        rateLimit: RATE_LIMIT_POLICIES.PAGES,
+        cors: null,
+        cache: null,
+        securityHeaders: HTML,
+        handler: ({ request, url, config, env, ctx }) => handlePlaylistLink(url.pathname, request, config, env, ctx),
+    },
+
+    // Homepage
+    {
+        methods: ['GET'],
+        path: '/',
+        rateLimit: RATE_LIMIT_POLICIES.PAGES,
+        cors: null,
+        cache: CACHE_CONFIG.HOMEPAGE,
+        securityHeaders: HTML,
+        handler: ({ request, config }) => handleHomepage(request, config),
+    },
+];
@@ -33,6 +33,36 @@ export const SERVICES = {
         color: '#00A8E1',
         logo: '/assets/logos/amazon_music.png'
     },
+    soundcloud: {
+        name: 'SoundCloud',
+        color: '#FF5500',
+        logo: '/assets/logos/soundcloud.png'
+    },
+    bandcamp: {
+        name: 'Bandcamp',
+        color: '#1DA0C3',
+        logo: '/assets/logos/bandcamp.png'
+    },
+    qobuz: {
+        name: 'Qobuz',
+        color: '#000000',
+        logo: '/assets/logos/qobuz.svg'
+    },
+    pandora: {
+        name: 'Pandora',
+        color: '#3668FF',
+        logo: '/assets/logos/pandora.png'
+    },
+    audiomack: {
+        name: 'Audiomack',
+        color: '#FFA200',
+        logo: '/assets/logos/audiomack.png'
+    },
+    napster: {
+        name: 'Napster',
+        color: '#2259FF',
+        logo: '/assets/logos/napster.png'
+    },
 };
 
 /**
@@ -51,4 +81,129 @@ export const TRUSTED_THUMBNAIL_DOMAINS = [
     'e-cdns-images.dzcdn.net',      // Deezer CDN
     'm.media-amazon.com',           // Amazon Music CDN
     'images-na.ssl-images-amazon.com', // Amazon CDN
+    'sndcdn.com',                   // SoundCloud CDN (i1.sndcdn.com, ...)
+    'bcbits.com',                   // Bandcamp CDN (f4.bcbits.com, ...)
+    'static.qobuz.com',             // Qobuz CDN
+    'p-cdn.com',                    // Pandora CDN (content-images.p-cdn.com, ...)
+    'assets.audiomack.com',         // Audiomack CDN
+    'direct.rhapsody.com',          // Napster CDN
+    'api.napster.com',              // Napster image server
 ];
+
+/**
+ * Hosts accepted in legacy full-URL share links (music platform web players)
+ */
+export const MUSIC_PLATFORM_HOSTS = [
+    'open.spotify.com',             // Spotify
+    'play.spotify.com',             // Spotify (legacy web player)
+    'music.apple.com',              // Apple Music
+    'itunes.apple.com',             // Apple Music (legacy iTunes links)
+    'tidal.com',                    // TIDAL
+    'www.tidal.com',                // TIDAL
+    'listen.tidal.com',             // TIDAL web player
+    'music.youtube.com',            // YouTube Music
+    'youtube.com',                  // YouTube
+    'www.youtube.com',              // YouTube
+    'm.youtube.com',                // YouTube (mobile)
+    'youtu.be',                     // YouTube short links
+    'deezer.com',                   // Deezer
+    'www.deezer.com',               // Deezer
+    'music.amazon.com',             // Amazon Music
+    'music.amazon.co.uk',           // Amazon Music UK
+    'music.amazon.de',              // Amazon Music Germany
+    'music.amazon.fr',              // Amazon Music France
+    'music.amazon.it',              // Amazon Music Italy
+    'music.amazon.es',              // Amazon Music Spain
+    'music.amazon.ca',              // Amazon Music Canada
+    'music.amazon.co.jp',           // Amazon Music Japan
+    'music.amazon.com.br',          // Amazon Music Brazil
+    'music.amazon.in',              // Amazon Music India
+    'www.amazon.com',               // Amazon product pages (/dp/{ASIN})
+    'amazon.com',                   // Amazon product pages (/dp/{ASIN})
+    'www.amazon.co.uk',             // Amazon product pages UK
+    'www.amazon.de',                // Amazon product pages Germany
+    'www.amazon.fr',                // Amazon product pages France
+    'www.amazon.it',                // Amazon product pages Italy
+    'www.amazon.es',                // Amazon product pages Spain
+    'www.amazon.ca',                // Amazon product pages Canada
+    'www.amazon.co.jp',             // Amazon product pages Japan
+    'www.amazon.com.br',            // Amazon product pages Brazil
+    'www.amazon.in',                // Amazon product pages India
+    'geo.music.apple.com',          // Apple Music (geo-redirect links)
+    'soundcloud.com',               // SoundCloud
+    'www.soundcloud.com',           // SoundCloud
+    'm.soundcloud.com',             // SoundCloud (mobile)
+    'bandcamp.com',                 // Bandcamp (artist pages are subdomains, see MUSIC_PLATFORM_WILDCARD_DOMAINS)
+    'open.qobuz.com',               // Qobuz web player
+    'play.qobuz.com',               // Qobuz web player
+    'www.qobuz.com',                // Qobuz store
+    'pandora.com',                  // Pandora
+    'www.pandora.com',              // Pandora
+    'audiomack.com',                // Audiomack
+    'www.audiomack.com',            // Audiomack
+    'napster.com',                  // Napster
+    'www.napster.com',              // Napster
+    'web.napster.com',              // Napster web player
+    'play.napster.com',             // Napster web player
+];
+
+/**
+ * Domains whose subdomains are all music platform hosts (e.g. {artist}.bandcamp.com)
+ */
+export const MUSIC_PLATFORM_WILDCARD_DOMAINS = [
+    'bandcamp.com',
+];
+
+/**
+ * Apple Music storefronts (ISO country codes, the first path segment of music.apple.com links)
+ * Countries where Apple Music is available; other visitors keep the storefront a link was shared from
+ */
+export const APPLE_MUSIC_STOREFRONTS = [
+    'ae', 'ag', 'ai', 'am', 'ao', 'ar', 'at', 'au', 'az', 'ba', 'bb', 'be', 'bf', 'bg', 'bh', 'bj',
+    'bm', 'bo', 'br', 'bs', 'bt', 'bw', 'by', 'bz', 'ca', 'cd', 'cg', 'ch', 'ci', 'cl', 'cm', 'cn',
+    'co', 'cr', 'cv', 'cy', 'cz', 'de', 'dk', 'dm', 'do', 'dz', 'ec', 'ee', 'eg', 'es', 'fi', 'fj',
+    'fm', 'fr', 'ga', 'gb', 'gd', 'ge', 'gh', 'gm', 'gr', 'gt', 'gw', 'gy', 'hk', 'hn', 'hr', 'hu',
+    'id', 'ie', 'il', 'in', 'iq', 'is', 'it', 'jm', 'jo', 'jp', 'ke', 'kg', 'kh', 'kn', 'kr', 'kw',
+    'ky', 'kz', 'la', 'lb', 'lc', 'lk', 'lr', 'lt', 'lu', 'lv', 'ly', 'ma', 'md', 'me', 'mg', 'mk',
+    'ml', 'mn', 'mo', 'mr', 'ms', 'mt', 'mu', 'mv', 'mw', 'mx', 'my', 'mz', 'na', 'ne', 'ng', 'ni',
+    'nl', 'no', 'np', 'nr', 'nz', 'om', 'pa', 'pe', 'pg', 'ph', 'pl', 'pt', 'pw', 'py', 'qa', 'ro',
+    'rs', 'rw', 'sa', 'sb', 'sc', 'se', 'sg', 'si', 'sk', 'sl', 'sn', 'sr', 'sv', 'sz', 'tc', 'td',
+    'th', 'tj', 'tm', 'tn', 'to', 'tr', 'tt', 'tw', 'tz', 'ua', 'ug', 'us', 'uy', 'uz', 'vc', 've',
+    'vg', 'vn', 'vu', 'xk', 'ye', 'za', 'zm', 'zw',
+];
+
+/**
+ * Amazon Music storefronts (ISO country code -> domain suffix after "amazon.")
+ */
+export const AMAZON_MUSIC_STOREFRONTS = {
+    us: 'com',
+    gb: 'co.uk',
+    de: 'de',
+    fr: 'fr',
+    it: 'it',
+    es: 'es',
+    ca: 'ca',
+    jp: 'co.jp',
+    br: 'com.br',
+    in: 'in',
+};
+
+/**
+ * Hosts allowed in upstream linksByPlatform URLs, keyed like SERVICES
+ * Links to any other host are dropped by the metadata validator
+ * Entries starting with "." match the domain and all of its subdomains
+ */
+export const SERVICE_LINK_HOSTS = {
+    spotify: ['open.spotify.com', 'play.spotify.com'],
+    appleMusic: ['music.apple.com', 'geo.music.apple.com', 'itunes.apple.com'],
+    tidal: ['tidal.com', 'www.tidal.com', 'listen.tidal.com'],
+    youtubeMusic: ['music.youtube.com'],
+    deezer: ['deezer.com', 'www.deezer.com'],
+    amazonMusic: Object.values(AMAZON_MUSIC_STOREFRONTS).map(tld => `music.amazon.${tld}`),
+    soundcloud: ['soundcloud.com', 'www.soundcloud.com', 'm.soundcloud.com'],
+    bandcamp: ['.bandcamp.com'],
+    qobuz: ['open.qobuz.com', 'play.qobuz.com', 'www.qobuz.com'],
+    pandora: ['pandora.com', 'www.pandora.com'],
+    audiomack: ['audiomack.com', 'www.audiomack.com'],
+    napster: ['napster.com', 'www.napster.com', 'web.napster.com', 'play.napster.com'],
+};
@@ -1,11 +1,22 @@
 import { log } from '../utils/logger.js';
+import { canonicalizeMusicUrl } from '../utils/url_validator.js';
 import { addSecurityHeaders } from '../security/headers.js';
+import { getVisitorCountry, localizeMetadata } from '../utils/storefront.js';
+import { getMetadataModel } from '../utils/metadata_model.js';
+import { fetchMetadataFromApi, getMetadataCacheKey } from '../utils/metadata_fetcher.js';
+import { getMetadataRetryAfter } from '../utils/upstream_adapters.js';
+import { readThroughCache, getCachePolicy, withCacheDebugHeader, isNotFoundStatus, NOT_FOUND } from '../utils/edge_cache.js';
+import { purgeCachedPages } from '../utils/page_cache.js';
 
 /**
  * API Proxy for UniTune API (to avoid CORS issues)
- * Proxies requests to the UniTune API with proper CORS headers
+ * Proxies requests to the UniTune API (CORS: same-site only, see config/routes.js)
+ * Apple Music / Amazon Music links are rewritten to the visitor's storefront
+ * Responses include a `display` model (title, subtitle, artwork) and a `stale` flag for the share page script
+ * Only links parseMusicUrl recognizes are looked up, by their canonical URL (anything else
+ * gets a 400 and never reaches the upstream API or the cache)
  */
-export async function handleApiProxy(url, config) {
+export async function handleApiProxy(request, url, config, env, ctx) {
     const musicUrl = url.searchParams.get('url');
 
     if (!musicUrl) {
@@ -18,35 +29,74 @@ export async function handleApiProxy(url, config) {
         ));
     }
 
+    const canonicalUrl = canonicalizeMusicUrl(musicUrl);
+    if (!canonicalUrl) {
+        return addSecurityHeaders(new Response(
+            JSON.stringify({ error: 'Unsupported music URL' }),
+            {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        ));
+    }
+
     log(config, 'info', 'API proxy request', {
-        musicUrl: musicUrl.substring(0, 50)
+        musicUrl: canonicalUrl.substring(0, 50)
     });
 
     try {
-        const apiUrl = `${config.unituneApiEndpoint}?url=${encodeURIComponent(musicUrl)}`;
-
-        const response = await fetch(apiUrl, {
-            headers: {
-                'User-Agent': 'UniTune-Worker/2.2.0 (https://unitune.art)',
+        // Share pages warm the same cache entries, so the follow-up /api/song call is usually a hit
+        // upstreamStatus stays null when the result came from cache or a coalesced load
+        let upstreamStatus = null;
+        const cacheKey = getMetadataCacheKey(canonicalUrl);
+        const { data, tier, notFound } = await readThroughCache(
+            cacheKey,
+            getCachePolicy('API_PROXY', config),
+            async () => {
+                const result = await fetchMetadataFromApi(canonicalUrl, config);
+                upstreamStatus = result.status;
+                return result.data ?? (isNotFoundStatus(result.status) ? NOT_FOUND : null);
             },
-        });
+            // A refresh from here replaces the entry the share pages were rendered from
+            { config, env, ctx, onStore: () => purgeCachedPages(cacheKey, config) }
+        );
+
+        let status = 200;
+        let body;
+        const extraHeaders = {};
+        const retryAfter = getMetadataRetryAfter(config);
 
-        const data = await response.text();
+        if (data) {
+            body = JSON.stringify({
+                ...localizeMetadata(data, getVisitorCountry(request)),
+                // Same title/subtitle/artwork the server-rendered pages use
+                display: getMetadataModel(data, canonicalUrl),
+                // Served from a stale entry while it is refreshed; the share page script retries until false
+                stale: tier.endsWith('-stale'),
+            });
+        } else if (!notFound && retryAfter > 0) {
+            // Circuit open: fail fast and tell clients when to come back
+            status = 503;
+            body = JSON.stringify({ error: 'Song lookup is temporarily unavailable', degraded: true });
+            extraHeaders['Retry-After'] = String(retryAfter);
+        } else {
+            status = notFound ? 404 : (upstreamStatus || 502);
+            body = JSON.stringify({ error: 'Failed to fetch song data' });
+        }
 
         log(config, 'info', 'API proxy response', {
-            status: response.status
+            status,
+            tier
         });
 
-        // Return with CORS headers
-        return addSecurityHeaders(new Response(data, {
-            status: response.status,
+        // CORS headers are added by the route's policy (config/routes.js)
+        return withCacheDebugHeader(addSecurityHeaders(new Response(body, {
+            status,
             headers: {
                 'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': 'https://unitune.art',
-                'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type',
+                ...extraHeaders,
             },
-        }));
+        })), tier, config);
 
     } catch (error) {
         log(config, 'error', 'API proxy error', {
@@ -57,10 +107,7 @@ export async function handleApiProxy(url, config) {
             JSON.stringify({ error: 'Failed to fetch song data' }),
             {
                 status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': 'https://unitune.art',
-                }
+                headers: { 'Content-Type': 'application/json' }
             }
         ));
     }
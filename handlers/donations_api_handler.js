@@ -1,51 +1,56 @@
 import { log } from '../utils/logger.js';
+import { generateETag } from '../security/cache_headers.js';
+import { getConditionalResponse, formatHttpDate } from '../security/conditional_requests.js';
+import { normalizeDonationsData } from '../utils/donation_tally.js';
+import { getDonationsSummary } from '../utils/donation_ledger.js';
 
 /**
  * Handle donations API requests
- * Returns current donation status and recent donors
+ * Returns current donation status, the breakdown by type (one-off, monthly, shop) and recent supporters,
+ * aggregated from the donation ledger (DONATIONS_DB), or read from the old DONATIONS_KV blob until
+ * the ledger is set up (see utils/donation_ledger.js)
+ * Validators: ETag of the body, Last-Modified of the newest donation
  */
-export async function handleDonationsAPI(config, env) {
+export async function handleDonationsAPI(request, config, env) {
     try {
-        // Get donations data from KV
-        let donationsData = {
-            total: 0,
-            goal: 99,
-            donations: []
-        };
-
-        if (env.DONATIONS_KV) {
-            const stored = await env.DONATIONS_KV.get('donations', 'json');
-            if (stored) {
-                donationsData = stored;
-            }
-        }
+        const donationsData = await getDonationsSummary(env, config);
 
         log(config, 'info', 'Donations API request', {
             total: donationsData.total,
             count: donationsData.donations.length
         });
 
-        return new Response(JSON.stringify(donationsData), {
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'public, max-age=300' // Cache for 5 minutes
-            }
-        });
+        const body = JSON.stringify(donationsData);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'public, max-age=300', // Cache for 5 minutes
+            'ETag': await generateETag(body),
+        };
+
+        // Donations are stored newest first
+        const lastDonationDate = donationsData.donations[0]?.date;
+        if (lastDonationDate && !Number.isNaN(Date.parse(lastDonationDate))) {
+            headers['Last-Modified'] = formatHttpDate(lastDonationDate);
+        }
+
+        const conditional = getConditionalResponse(request, {
+            etag: headers['ETag'],
+            lastModified: headers['Last-Modified'],
+        }, headers);
+        if (conditional) {
+            return conditional;
+        }
+
+        return new Response(body, { headers });
 
     } catch (error) {
         log(config, 'error', 'Donations API error', {
             error: error.message
         });
 
-        return new Response(JSON.stringify({
-            total: 0,
-            goal: 99,
-            donations: []
-        }), {
+        return new Response(JSON.stringify(normalizeDonationsData(null)), {
             headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
+                'Content-Type': 'application/json'
             },
             status: 500
         });
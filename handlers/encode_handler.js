@@ -0,0 +1,109 @@
+import { log } from '../utils/logger.js';
+import { parseMusicUrl, reconstructMusicUrl } from '../utils/url_validator.js';
+import { encodeShareLink } from '../utils/share_codec.js';
+import { addSecurityHeaders } from '../security/headers.js';
+
+const MAX_BODY_BYTES = 4096;       // URL + nickname never need more than this
+
+/**
+ * Handle /api/encode
+ * Turns a platform URL or URI into a UniTune share link
+ *
+ * GET  /api/encode?url={musicUrl}&nickname={nickname}
+ * POST /api/encode  { "url": "...", "nickname": "..." }
+ *
+ * Open to all origins (CORS_POLICIES.PUBLIC in config/routes.js) so the homepage,
+ * browser extensions and bots can create links; OPTIONS and 405s are answered by the router
+ *
+ * @param {Request} request - The incoming request
+ * @param {URL} url - Parsed request URL
+ * @param {Object} config - Worker configuration
+ * @returns {Promise<Response>}
+ */
+export async function handleEncode(request, url, config) {
+    let input;
+    if (request.method === 'POST') {
+        input = await readJsonBody(request);
+        if (!input) {
+            return jsonResponse({ error: 'Request body must be a JSON object' }, 400);
+        }
+    } else {
+        input = {
+            url: url.searchParams.get('url'),
+            nickname: url.searchParams.get('nickname'),
+        };
+    }
+
+    if (!input.url || typeof input.url !== 'string') {
+        return jsonResponse({ error: 'Missing url parameter' }, 400);
+    }
+    if (input.nickname != null && typeof input.nickname !== 'string') {
+        return jsonResponse({ error: 'Nickname must be a string' }, 400);
+    }
+
+    const parsed = parseMusicUrl(input.url);
+    if (!parsed) {
+        log(config, 'info', 'Encode request for unsupported URL');
+        return jsonResponse({ error: 'Unsupported or unrecognized music URL' }, 422);
+    }
+
+    const encoded = encodeShareLink({
+        platform: parsed.platform,
+        type: parsed.type,
+        id: parsed.id,
+        nickname: input.nickname?.trim() || null,
+        storefront: parsed.storefront,
+    });
+    if (!encoded.ok) {
+        return jsonResponse({ error: encoded.error.message, code: encoded.error.code }, 422);
+    }
+
+    log(config, 'info', 'Encoded share link', {
+        platform: parsed.platform,
+        type: parsed.type
+    });
+
+    return jsonResponse({
+        shareUrl: `${url.origin}/s/${encoded.code}`,
+        code: encoded.code,
+        canonicalUrl: reconstructMusicUrl(parsed.platform, parsed.type, parsed.id, parsed.storefront),
+        platform: parsed.platform,
+        type: parsed.type,
+        id: parsed.id,
+        storefront: parsed.storefront,
+    }, 200);
+}
+
+/**
+ * Reads a size-limited JSON object body
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Object|null>} - Parsed object or null if invalid
+ */
+async function readJsonBody(request) {
+    const contentLength = parseInt(request.headers.get('Content-Length') || '0', 10);
+    if (contentLength > MAX_BODY_BYTES) {
+        return null;
+    }
+
+    try {
+        const text = await request.text();
+        if (text.length > MAX_BODY_BYTES) {
+            return null;
+        }
+        const body = JSON.parse(text);
+        return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch {
+        return null;
+    }
+}
+
+function jsonResponse(data, status) {
+    return addSecurityHeaders(new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+        },
+    }));
+}
@@ -1,30 +1,75 @@
 import { log } from '../utils/logger.js';
+import { constantTimeEqual } from '../security/constant_time.js';
+import { KOFI_EVENT_TYPES } from '../utils/donation_tally.js';
+import { recordDonationEvent } from '../utils/donation_ledger.js';
+
+const MAX_BODY_BYTES = 16384;      // Ko-fi payloads (including shop items) stay well below this
 
 /**
  * Handle Ko-fi webhook notifications
- * Updates donation totals and recent donors list
+ * Appends each event to the donation ledger (DONATIONS_DB, see utils/donation_ledger.js;
+ * the old DONATIONS_KV blob until the ledger is bound)
  * 
  * Ko-fi sends POST requests with form data:
  * data: JSON string containing donation info
+ *
+ * Donations, subscription payments, shop orders and commissions are recorded
+ * (see utils/donation_tally.js); other event types are acknowledged and ignored.
+ *
+ * Checks, in order (4xx bodies: { error, code }):
+ * - Body at most MAX_BODY_BYTES, form-encoded, with a JSON object in `data`
+ * - verification_token equal to KOFI_VERIFICATION_TOKEN (constant-time comparison)
+ * - kofi_transaction_id, type and amount present
+ * - kofi_transaction_id not in the ledger yet (Ko-fi retries are acknowledged, not counted)
  */
 export async function handleKofiWebhook(request, config, env) {
     try {
-        // Verify it's a POST request
-        if (request.method !== 'POST') {
-            return new Response('Method not allowed', { status: 405 });
+        if (!config.kofiVerificationToken || !(env.DONATIONS_DB || env.DONATIONS_KV)) {
+            log(config, 'error', 'Ko-fi webhook: KOFI_VERIFICATION_TOKEN or a donations store (DONATIONS_DB, DONATIONS_KV) is not set');
+            return jsonResponse({ error: 'Webhook is not configured', code: 'not_configured' }, 503);
+        }
+
+        // Parse form data (only POST is routed here, see config/routes.js)
+        const contentType = request.headers.get('Content-Type') || '';
+        if (!contentType.toLowerCase().startsWith('application/x-www-form-urlencoded')) {
+            return jsonResponse({ error: 'Expected form-encoded data', code: 'unsupported_media_type' }, 415);
         }
 
-        // Parse form data
-        const formData = await request.formData();
-        const dataString = formData.get('data');
+        const body = await readBody(request);
+        if (body === null) {
+            return jsonResponse({ error: `Body exceeds ${MAX_BODY_BYTES} bytes`, code: 'payload_too_large' }, 413);
+        }
 
+        const dataString = new URLSearchParams(body).get('data');
         if (!dataString) {
             log(config, 'warn', 'Ko-fi webhook: No data field');
-            return new Response('No data', { status: 400 });
+            return jsonResponse({ error: 'Missing data field', code: 'missing_data' }, 400);
         }
 
         // Parse Ko-fi data
-        const kofiData = JSON.parse(dataString);
+        let kofiData;
+        try {
+            kofiData = JSON.parse(dataString);
+        } catch {
+            return jsonResponse({ error: 'data is not valid JSON', code: 'invalid_json' }, 400);
+        }
+
+        if (!kofiData || typeof kofiData !== 'object' || Array.isArray(kofiData)) {
+            return jsonResponse({ error: 'data must be a JSON object', code: 'invalid_payload' }, 422);
+        }
+
+        // Authenticate before looking at anything else in the payload
+        const token = typeof kofiData.verification_token === 'string' ? kofiData.verification_token : '';
+        if (!(await constantTimeEqual(token, config.kofiVerificationToken))) {
+            log(config, 'warn', 'Ko-fi webhook: Verification token mismatch');
+            return jsonResponse({ error: 'Invalid verification token', code: 'invalid_token' }, 401);
+        }
+
+        const payloadError = validatePayload(kofiData);
+        if (payloadError) {
+            log(config, 'warn', 'Ko-fi webhook: Invalid payload', { reason: payloadError });
+            return jsonResponse({ error: payloadError, code: 'invalid_payload' }, 422);
+        }
 
         log(config, 'info', 'Ko-fi webhook received', {
             type: kofiData.type,
@@ -32,12 +77,12 @@ export async function handleKofiWebhook(request, config, env) {
             from: kofiData.from_name?.substring(0, 20)
         });
 
-        // Only process donations (not subscriptions)
-        if (kofiData.type !== 'Donation') {
-            log(config, 'info', 'Skipping non-donation event', {
+        const eventType = KOFI_EVENT_TYPES[kofiData.type];
+        if (!eventType) {
+            log(config, 'info', 'Skipping unsupported Ko-fi event', {
                 type: kofiData.type
             });
-            return new Response('OK', { status: 200 });
+            return jsonResponse({ ok: true }, 200);
         }
 
         // Extract donation info
@@ -52,11 +97,14 @@ export async function handleKofiWebhook(request, config, env) {
             currency: kofiData.currency || 'EUR',
             message: kofiData.message || '',
             date: new Date().toISOString(),
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            tier: typeof kofiData.tier_name === 'string' ? kofiData.tier_name.substring(0, 50) : null,
+            firstPayment: kofiData.is_first_subscription_payment === true
         };
 
         log(config, 'info', 'Processing donation', {
             name: donation.name.substring(0, 20),
+            type: eventType.kind,
             rawAmount: kofiData.amount,
             parsedAmount: donation.amount,
             currency: donation.currency
@@ -77,43 +125,32 @@ export async function handleKofiWebhook(request, config, env) {
             donation.amount = donation.amount * (rates[donation.currency] || 1);
         }
 
-        // Update donations in KV
-        if (env.DONATIONS_KV) {
-            // Get current data
-            let donationsData = {
-                total: 0,
-                goal: 99,
-                donations: []
-            };
-
-            const stored = await env.DONATIONS_KV.get('donations', 'json');
-            if (stored) {
-                donationsData = stored;
-            }
-
-            // Add new donation
-            // Use precise addition to avoid floating point errors
-            donationsData.total = parseFloat((donationsData.total + donation.amount).toFixed(2));
-            donationsData.donations.unshift({
-                name: donation.name,
-                amount: donation.amount.toFixed(2),
-                date: donation.date
-            });
-
-            // Keep only last 20 donations
-            donationsData.donations = donationsData.donations.slice(0, 20);
-
-            // Save back to KV
-            await env.DONATIONS_KV.put('donations', JSON.stringify(donationsData));
+        // In the ledger each event is one INSERT: concurrent webhooks can't lose each other's
+        // updates, and the UNIQUE transaction ID turns Ko-fi retries into no-ops
+        const recorded = await recordDonationEvent(env, {
+            transactionId: kofiData.kofi_transaction_id,
+            source: 'kofi',
+            eventType,
+            name: donation.name,
+            amount: donation.amount,
+            originalAmount: amountStr,
+            currency: donation.currency,
+            tier: donation.tier,
+            firstPayment: donation.firstPayment,
+            date: donation.date
+        });
 
-            log(config, 'info', 'Donation saved', {
-                newTotal: donationsData.total.toFixed(2),
-                donationsCount: donationsData.donations.length,
-                allDonations: donationsData.donations.map(d => `${d.name}: ${d.amount}`)
-            });
+        if (!recorded) {
+            log(config, 'info', 'Skipping duplicate Ko-fi transaction');
+            return jsonResponse({ ok: true, duplicate: true }, 200);
         }
 
-        return new Response('OK', { status: 200 });
+        log(config, 'info', 'Donation recorded', {
+            type: eventType.kind,
+            amount: donation.amount.toFixed(2)
+        });
+
+        return jsonResponse({ ok: true }, 200);
 
     } catch (error) {
         log(config, 'error', 'Ko-fi webhook error', {
@@ -121,6 +158,77 @@ export async function handleKofiWebhook(request, config, env) {
             stack: error.stack?.substring(0, 200)
         });
 
-        return new Response('Internal error', { status: 500 });
+        return jsonResponse({ error: 'Internal error', code: 'internal_error' }, 500);
     }
 }
+
+/**
+ * Checks the fields the webhook relies on (after the verification token)
+ *
+ * @param {Object} kofiData - Parsed `data` field
+ * @returns {string|null} - What is wrong, or null if the payload is usable
+ */
+function validatePayload(kofiData) {
+    if (typeof kofiData.kofi_transaction_id !== 'string' || !/^[\w-]{1,100}$/.test(kofiData.kofi_transaction_id)) {
+        return 'Missing or invalid kofi_transaction_id';
+    }
+    if (typeof kofiData.type !== 'string' || !kofiData.type) {
+        return 'Missing type';
+    }
+    if (kofiData.amount == null || Number.isNaN(parseFloat(kofiData.amount.toString().replace(/[€$£,]/g, '')))) {
+        return 'Missing or invalid amount';
+    }
+    return null;
+}
+
+/**
+ * Reads a size-limited body
+ * Counts bytes as they arrive and stops reading as soon as the limit is passed,
+ * so bodies without Content-Length (chunked) are never buffered in full
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<string|null>} - Body text, or null if it is too large
+ */
+async function readBody(request) {
+    const contentLength = parseInt(request.headers.get('Content-Length') || '0', 10);
+    if (contentLength > MAX_BODY_BYTES) {
+        return null;
+    }
+    if (!request.body) {
+        return '';
+    }
+
+    const reader = request.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        received += value.byteLength;
+        if (received > MAX_BODY_BYTES) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const body = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return new TextDecoder().decode(body);
+}
+
+function jsonResponse(data, status) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+        },
+    });
+}
@@ -1,11 +1,19 @@
 import { log } from '../utils/logger.js';
 import { isSocialMediaBot } from '../utils/bot_detector.js';
 import { getErrorPage } from '../templates/error_page.js';
+import { getStreamErrorFragment } from '../templates/page_skeleton.js';
 import { addSecurityHeaders } from '../security/headers.js';
-import { getPlaylistClientPage } from '../renderers/client_renderer.js';
+import { getPlaylistClientPage, getPlaylistClientPageShell, getPlaylistClientPageBody } from '../renderers/client_renderer.js';
 import { getPlaylistBotPage } from '../renderers/bot_renderer.js';
+import { fetchUpstream, getCircuitRetryAfter, UPSTREAM_SERVICES } from '../utils/upstream_client.js';
+import { validatePlaylist } from '../utils/metadata_validator.js';
+import { streamHtmlResponse } from '../utils/html_stream.js';
+import { readThroughCache, getCachePolicy, withCacheDebugHeader, isNotFoundStatus, NOT_FOUND } from '../utils/edge_cache.js';
+import { matchCachedPage, storeCachedPage, respondWithPage, purgeCachedPages, getPageCacheConfig } from '../utils/page_cache.js';
 
-export async function handlePlaylistLink(pathname, request, config) {
+const DEGRADED_MESSAGE = 'Playlists are temporarily unavailable. Please try again in a moment.';
+
+export async function handlePlaylistLink(pathname, request, config, env, ctx) {
     const playlistId = pathname.substring(3);
     if (!playlistId) {
         const errorContent = getErrorPage('Invalid playlist link.');
@@ -15,20 +23,67 @@ export async function handlePlaylistLink(pathname, request, config) {
         }));
     }
 
-    const apiUrl = `${config.unitunePlaylistEndpoint}/${playlistId}`;
-    let playlist = null;
+    const userAgent = request.headers.get('User-Agent') || '';
+    const isBot = isSocialMediaBot(userAgent);
+
+    log(config, 'info', 'Playlist request type detected', {
+        isBot,
+        playlistId: playlistId.substring(0, 20)
+    });
+
+    // Rendered pages are cached per path and variant (see page_cache.js)
+    const cachedPage = await matchCachedPage(pathname, { bot: isBot, country: null });
+    if (cachedPage) {
+        log(config, 'info', 'Serving cached playlist page', { isBot });
+        return withCacheDebugHeader(addSecurityHeaders(respondWithPage(request, cachedPage)), 'page', config);
+    }
+
+    const pageCacheOptions = {
+        pathname,
+        bot: isBot,
+        country: null,
+        variesByCountry: false,
+        sourceKey: getPlaylistCacheKey(playlistId),
+        cacheConfig: getPageCacheConfig(getCachePolicy('PLAYLIST', config)),
+        config,
+        ctx,
+    };
+
+    if (!isBot) {
+        // Normal user: flush the shell right away, stream the tracks once the playlist is in
+        return addSecurityHeaders(streamHtmlResponse(
+            getPlaylistClientPageShell(config),
+            async () => {
+                const { playlist, notFound, cacheTier } = await loadPlaylist(playlistId, config, env, ctx);
+
+                if (!playlist) {
+                    log(config, 'warn', 'Playlist unavailable', { notFound });
+                    if (notFound) {
+                        return getStreamErrorFragment('Playlist not found.');
+                    }
+                    const circuitOpen = getCircuitRetryAfter(UPSTREAM_SERVICES.PLAYLISTS, config) > 0;
+                    return getStreamErrorFragment(circuitOpen ? DEGRADED_MESSAGE : 'Failed to load playlist.');
+                }
+
+                // The complete page is cached for the next visitor (not from stale data, which is being refreshed)
+                if (!cacheTier.endsWith('-stale')) {
+                    ctx?.waitUntil(storeCachedPage(getPlaylistClientPage(playlist, playlistId, config), pageCacheOptions));
+                }
+
+                return getPlaylistClientPageBody(playlist, playlistId, config);
+            },
+            {
+                renderError: () => getStreamErrorFragment('Failed to load playlist.'),
+                config,
+                ctx,
+            }
+        ));
+    }
 
+    // Bot request: wait for the playlist so crawlers get Open Graph tags and a real status code
+    let result;
     try {
-        const response = await fetch(apiUrl);
-        if (response.ok) {
-            playlist = await response.json();
-        } else {
-            const errorContent = getErrorPage('Playlist not found.');
-            return addSecurityHeaders(new Response(errorContent, {
-                headers: { 'Content-Type': 'text/html; charset=utf-8' },
-                status: 404,
-            }));
-        }
+        result = await loadPlaylist(playlistId, config, env, ctx);
     } catch (error) {
         log(config, 'error', 'Playlist fetch failed', { error: error.message });
         const errorContent = getErrorPage('Failed to load playlist.');
@@ -37,20 +92,69 @@ export async function handlePlaylistLink(pathname, request, config) {
             status: 500,
         }));
     }
+    const { playlist, notFound, cacheTier } = result;
 
-    const userAgent = request.headers.get('User-Agent') || '';
-    const isBot = isSocialMediaBot(userAgent);
-
-    log(config, 'info', 'Playlist request type detected', {
-        isBot,
-        playlistId: playlistId.substring(0, 20)
-    });
+    const retryAfter = getCircuitRetryAfter(UPSTREAM_SERVICES.PLAYLISTS, config);
+    if (!playlist && !notFound && retryAfter > 0) {
+        log(config, 'warn', 'Playlist upstream circuit open, serving degraded page');
+        const errorContent = getErrorPage(DEGRADED_MESSAGE);
+        return withCacheDebugHeader(addSecurityHeaders(new Response(errorContent, {
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'no-store',
+                'Retry-After': String(retryAfter),
+            },
+            status: 503,
+        })), cacheTier, config);
+    }
 
-    if (isBot) {
-        // Bot request: Server-side rendering with Open Graph tags
-        return getPlaylistBotPage(playlist, playlistId, config);
-    } else {
-        // Normal user: Client-side rendering with full playlist display
-        return getPlaylistClientPage(playlist, playlistId, config);
+    if (!playlist) {
+        log(config, 'warn', 'Playlist unavailable', { notFound });
+        const errorContent = getErrorPage(notFound ? 'Playlist not found.' : 'Failed to load playlist.');
+        return withCacheDebugHeader(addSecurityHeaders(new Response(errorContent, {
+            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+            status: notFound ? 404 : 500,
+        })), cacheTier, config);
     }
+
+    // Server-side rendering with Open Graph tags
+    const page = getPlaylistBotPage(playlist, playlistId, config);
+    const response = cacheTier.endsWith('-stale') ? page : await storeCachedPage(page, pageCacheOptions);
+
+    return withCacheDebugHeader(respondWithPage(request, response), cacheTier, config);
+}
+
+/**
+ * Playlist cache key (v2: only validated playlists are cached)
+ */
+function getPlaylistCacheKey(playlistId) {
+    return `playlist:v2:${playlistId}`;
+}
+
+/**
+ * Loads a playlist through the edge cache and PLAYLIST policy
+ * Refreshing the entry purges the playlist pages rendered from it
+ *
+ * @returns {Promise<{playlist: Object|null, notFound: boolean, cacheTier: string}>}
+ */
+async function loadPlaylist(playlistId, config, env, ctx) {
+    const cacheKey = getPlaylistCacheKey(playlistId);
+    const result = await readThroughCache(
+        cacheKey,
+        getCachePolicy('PLAYLIST', config),
+        async () => {
+            const { response, status } = await fetchUpstream(`${config.unitunePlaylistEndpoint}/${playlistId}`, {
+                service: UPSTREAM_SERVICES.PLAYLISTS,
+                config,
+            });
+            if (response?.ok) {
+                // Only validated playlists are cached or rendered
+                return validatePlaylist(await response.json(), { config, source: UPSTREAM_SERVICES.PLAYLISTS });
+            }
+            return isNotFoundStatus(status) ? NOT_FOUND : null;
+        },
+        { config, env, ctx, onStore: () => purgeCachedPages(cacheKey, config) }
+    );
+
+    return { playlist: result.data, notFound: result.notFound, cacheTier: result.tier };
 }
@@ -1,112 +1,103 @@
 import { log } from '../utils/logger.js';
-import { reconstructMusicUrl } from '../utils/url_validator.js';
-import { fetchAndCacheMetadata } from '../utils/metadata_fetcher.js';
+import { reconstructMusicUrl, normalizeMusicUrl, canonicalizeMusicUrl } from '../utils/url_validator.js';
+import { decodeShareLink, SHARE_CODEC_ERRORS } from '../utils/share_codec.js';
+import { fetchAndCacheMetadata, getMetadataCacheKey } from '../utils/metadata_fetcher.js';
+import { getVisitorCountry, localizeMetadata, hasLocalizableLinks } from '../utils/storefront.js';
+import { withCacheDebugHeader, getCachePolicy } from '../utils/edge_cache.js';
+import { matchCachedPage, storeCachedPage, respondWithPage, getPageCacheConfig } from '../utils/page_cache.js';
+import { getMetadataRetryAfter } from '../utils/upstream_adapters.js';
 import { isSocialMediaBot } from '../utils/bot_detector.js';
 import { getServerSideRenderedPage } from '../renderers/bot_renderer.js';
-import { getClientSideLoadingPage } from '../renderers/client_renderer.js';
+import { getClientSharePage, getClientSharePageShell, getClientSharePageBody } from '../renderers/client_renderer.js';
 import { getErrorPage } from '../templates/error_page.js';
+import { getStreamErrorFragment } from '../templates/page_skeleton.js';
+import { streamHtmlResponse } from '../utils/html_stream.js';
 import { addSecurityHeaders } from '../security/headers.js';
 
+/**
+ * User-facing error messages for share link decode failures
+ */
+const SHARE_LINK_ERROR_MESSAGES = {
+    [SHARE_CODEC_ERRORS.INVALID_ENCODING]: 'Invalid share link format.',
+    [SHARE_CODEC_ERRORS.UNSUPPORTED_VERSION]: 'This share link was created by a newer version of UniTune.',
+    [SHARE_CODEC_ERRORS.CHECKSUM_MISMATCH]: 'This share link is incomplete or was modified.',
+    [SHARE_CODEC_ERRORS.UNSUPPORTED_PLATFORM]: 'Unsupported music platform.',
+};
+
+/**
+ * Shown when metadata can't be loaded right now (the original link still works)
+ */
+const DEGRADED_MESSAGE = 'We can\'t load the other platforms right now. You can still open the song where it was shared from.';
+
 /**
  * Handle share links: /s/{encodedUrl}
  * Decodes Base64 encoded share links and renders appropriate page
  */
-export async function handleShareLink(pathname, request, config, env) {
+export async function handleShareLink(pathname, request, config, env, ctx) {
     log(config, 'debug', 'Processing share link', {
         pathname: pathname,
     });
 
     // Extract everything after /s/ from the pathname
-    let pathAfterS = pathname.substring(3); // Remove '/s/'
+    const pathAfterS = pathname.substring(3); // Remove '/s/'
 
     log(config, 'debug', 'Path after /s/', { pathAfterS });
 
-    // Decode share link (Base64 format)
-    let musicUrl = null;
-    let sharedByNickname = null;
+    // Decode share link (legacy, v1 or v2 format)
+    const decoded = decodeShareLink(pathAfterS);
 
-    try {
-        // Try Base64 decode
-        let padded = pathAfterS;
-        while (padded.length % 4 !== 0) {
-            padded += '=';
-        }
-        
-        // Decode Base64 (URL-safe)
-        const decoded = atob(padded.replace(/-/g, '+').replace(/_/g, '/'));
-        
-        log(config, 'debug', 'Base64 decoded', { decoded: decoded.substring(0, 50) });
-        
-        // Check if it's platform:type:id or platform:type:id:nickname format
-        if (decoded.includes(':') && !decoded.startsWith('http')) {
-            const parts = decoded.split(':');
-            if (parts.length >= 3) {
-                const platform = parts[0];
-                const type = parts[1];
-                
-                // Check if nickname is present (4+ parts)
-                let id;
-                if (parts.length >= 4) {
-                    // Last part is nickname, everything in between is ID
-                    sharedByNickname = parts[parts.length - 1];
-                    id = parts.slice(2, parts.length - 1).join(':');
-                } else {
-                    // No nickname, everything after type is ID
-                    id = parts.slice(2).join(':');
-                }
-                
-                // Reconstruct music URL
-                musicUrl = reconstructMusicUrl(platform, type, id);
-                
-                if (!musicUrl) {
-                    log(config, 'error', 'Unsupported platform', { platform });
-                    const errorContent = getErrorPage('Unsupported music platform.');
-                    return addSecurityHeaders(new Response(errorContent, {
-                        headers: { 'Content-Type': 'text/html; charset=utf-8' },
-                        status: 400,
-                    }));
-                }
-                
-                log(config, 'info', 'Reconstructed URL', {
-                    platform,
-                    type,
-                    id: id.substring(0, 20),
-                    nickname: sharedByNickname || 'none'
-                });
-            }
-        }
-    } catch (e) {
-        log(config, 'error', 'Base64 decode failed', {
-            error: e.message,
+    if (!decoded.ok) {
+        log(config, 'error', 'Share link decode failed', {
+            code: decoded.error.code,
             pathAfterS: pathAfterS.substring(0, 50)
         });
-        
-        const errorContent = getErrorPage('Invalid share link format.');
-        return addSecurityHeaders(new Response(errorContent, {
-            headers: { 'Content-Type': 'text/html; charset=utf-8' },
-            status: 400,
-        }));
-    }
 
-    if (!musicUrl) {
-        log(config, 'error', 'Could not decode share link');
-        const errorContent = getErrorPage('Invalid share link.');
+        const message = SHARE_LINK_ERROR_MESSAGES[decoded.error.code] || 'Invalid share link.';
+        const errorContent = getErrorPage(message);
         return addSecurityHeaders(new Response(errorContent, {
             headers: { 'Content-Type': 'text/html; charset=utf-8' },
             status: 400,
         }));
     }
 
-    // Fetch and cache metadata for all requests (bot and user)
-    const metadata = await fetchAndCacheMetadata(musicUrl, pathAfterS, config, env);
-    
-    if (!metadata) {
-        log(config, 'error', 'Failed to fetch metadata');
-        const errorContent = getErrorPage('Song not found. Please try again.');
-        return addSecurityHeaders(new Response(errorContent, {
-            headers: { 'Content-Type': 'text/html; charset=utf-8' },
-            status: 404,
-        }));
+    const { platform, type, id, storefront } = decoded.link;
+    const sharedByNickname = decoded.link.nickname;
+    let musicUrl;
+
+    if (decoded.link.url) {
+        // Legacy full-URL link: only accept known music platform hosts
+        musicUrl = canonicalizeMusicUrl(decoded.link.url) || normalizeMusicUrl(decoded.link.url);
+
+        if (!musicUrl) {
+            log(config, 'error', 'Legacy share link URL not allowed', { url: decoded.link.url });
+            const errorContent = getErrorPage('This link does not point to a supported music platform.');
+            return addSecurityHeaders(new Response(errorContent, {
+                headers: { 'Content-Type': 'text/html; charset=utf-8' },
+                status: 400,
+            }));
+        }
+
+        log(config, 'info', 'Decoded legacy URL share link', { musicUrl });
+    } else {
+        // Reconstruct music URL (in the storefront it was shared from, if the link has one)
+        musicUrl = reconstructMusicUrl(platform, type, id, storefront);
+
+        if (!musicUrl) {
+            log(config, 'error', 'Unsupported platform', { platform });
+            const errorContent = getErrorPage('Unsupported music platform.');
+            return addSecurityHeaders(new Response(errorContent, {
+                headers: { 'Content-Type': 'text/html; charset=utf-8' },
+                status: 400,
+            }));
+        }
+
+        log(config, 'info', 'Reconstructed URL', {
+            version: decoded.link.version,
+            platform,
+            type,
+            id: id.substring(0, 20),
+            nickname: sharedByNickname || 'none'
+        });
     }
 
     // Check if request is from a social media bot
@@ -118,13 +109,111 @@ export async function handleShareLink(pathname, request, config, env) {
         userAgent: userAgent.substring(0, 50)
     });
 
-    if (isBot) {
-        // Bot request: Server-side rendering with metadata
-        log(config, 'info', 'Serving bot with server-side rendering');
-        return getServerSideRenderedPage(musicUrl, metadata, config, sharedByNickname);
-    } else {
-        // Normal user: Client-side loading with metadata for Open Graph
-        log(config, 'info', 'Serving user with client-side loading');
-        return getClientSideLoadingPage(musicUrl, metadata, config);
+    // Rendered pages are cached per path and variant (see page_cache.js)
+    const country = getVisitorCountry(request);
+    const cachedPage = await matchCachedPage(pathname, { bot: isBot, country });
+    if (cachedPage) {
+        log(config, 'info', 'Serving cached page', { isBot });
+        return withCacheDebugHeader(addSecurityHeaders(respondWithPage(request, cachedPage)), 'page', config);
+    }
+
+    const pageCacheOptions = {
+        pathname,
+        bot: isBot,
+        country,
+        sourceKey: getMetadataCacheKey(musicUrl),
+        cacheConfig: getPageCacheConfig(getCachePolicy('METADATA', config)),
+        config,
+        ctx,
+    };
+
+    if (!isBot) {
+        // Normal user: flush the shell right away, stream the page once the metadata is in
+        log(config, 'info', 'Streaming server-rendered page to user');
+        return addSecurityHeaders(streamHtmlResponse(
+            getClientSharePageShell(config),
+            async () => {
+                const { data: metadata, tier: cacheTier, notFound } = await fetchAndCacheMetadata(musicUrl, config, env, ctx);
+
+                if (!metadata) {
+                    log(config, 'error', notFound ? 'Metadata not found' : 'Failed to fetch metadata, streaming degraded page');
+                    return notFound
+                        ? getStreamErrorFragment('Song not found. Please try again.')
+                        : getStreamErrorFragment(DEGRADED_MESSAGE, { linkUrl: musicUrl, linkLabel: 'Open original link' });
+                }
+
+                // Refreshed in the browser only if the metadata was stale
+                const isStale = cacheTier?.endsWith('-stale') ?? false;
+                const localizedMetadata = localizeMetadata(metadata, country);
+
+                // The streamed response has no ETag; the complete page is cached for the next visitor.
+                // Stale metadata is about to be refreshed (which purges the page), so don't cache from it.
+                if (!isStale) {
+                    ctx?.waitUntil(storeCachedPage(getClientSharePage(musicUrl, localizedMetadata, config), {
+                        ...pageCacheOptions,
+                        variesByCountry: hasLocalizableLinks(metadata),
+                    }));
+                }
+
+                return getClientSharePageBody(musicUrl, localizedMetadata, config, { isStale });
+            },
+            {
+                renderError: () => getStreamErrorFragment(DEGRADED_MESSAGE, { linkUrl: musicUrl, linkLabel: 'Open original link' }),
+                config,
+                ctx,
+            }
+        ));
     }
+
+    // Bot request: wait for the metadata so crawlers get Open Graph tags and a real status code
+    const { data: metadata, tier: cacheTier, notFound } = await fetchAndCacheMetadata(musicUrl, config, env, ctx);
+    
+    if (!metadata && notFound) {
+        log(config, 'error', 'Metadata not found');
+        const errorContent = getErrorPage('Song not found. Please try again.');
+        return withCacheDebugHeader(addSecurityHeaders(new Response(errorContent, {
+            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+            status: 404,
+        })), cacheTier, config);
+    }
+
+    if (!metadata) {
+        // Upstream unavailable (or circuit open): degrade to a direct link to the original platform
+        log(config, 'error', 'Failed to fetch metadata, serving degraded page');
+        return withCacheDebugHeader(getDegradedPage(musicUrl, config), cacheTier, config);
+    }
+
+    // Point Apple Music / Amazon Music rows at the visitor's storefront.
+    // Done after the cache lookup so cached metadata stays country-neutral.
+    const localizedMetadata = localizeMetadata(metadata, country);
+
+    log(config, 'info', 'Serving bot with server-side rendering');
+    const page = getServerSideRenderedPage(musicUrl, localizedMetadata, config, sharedByNickname);
+    const isStale = cacheTier?.endsWith('-stale') ?? false;
+    const response = isStale
+        ? page
+        : await storeCachedPage(page, { ...pageCacheOptions, variesByCountry: hasLocalizableLinks(metadata) });
+
+    return withCacheDebugHeader(respondWithPage(request, response), cacheTier, config);
+}
+
+/**
+ * 503 page shown when metadata can't be loaded right now
+ * The decoded music URL is already validated, so the visitor can still open the song
+ *
+ * @param {string} musicUrl - Validated music URL
+ * @param {Object} config - Worker configuration
+ * @returns {Response}
+ */
+function getDegradedPage(musicUrl, config) {
+    const errorContent = getErrorPage(DEGRADED_MESSAGE, { linkUrl: musicUrl, linkLabel: 'Open original link' });
+
+    return addSecurityHeaders(new Response(errorContent, {
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Retry-After': String(getMetadataRetryAfter(config) || 30),
+        },
+        status: 503,
+    }));
 }
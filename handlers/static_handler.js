@@ -1,239 +1,179 @@
 import { addSecurityHeaders } from '../security/headers.js';
-import { addCacheHeaders, generateETag, checkETag, createNotModifiedResponse, CACHE_CONFIG } from '../security/cache_headers.js';
+import { CACHE_CONFIG } from '../security/cache_headers.js';
+import { getBuildETag, getConditionalResponse } from '../security/conditional_requests.js';
 import { getPrivacyPolicy, getAppPrivacyPolicy, getAssetLinks, getAppleAppSiteAssociation } from '../templates/static_content.js';
 import { getHomePage } from '../templates/home_page.js';
+import { getUpstreamHealth } from '../utils/upstream_client.js';
+import { getRecentValidationFailures } from '../utils/metadata_validator.js';
 import { getAboutPage, getContactPage, getFaqPage, getHowItWorksPage, getFeaturesPage } from '../templates/content_pages.js';
 
 /**
  * Handle static routes like health, privacy, ads.txt, etc.
  */
 
-export async function handleHealth() {
-    return addSecurityHeaders(new Response('OK', { status: 200 }));
+/**
+ * Health check: plain "OK" for uptime monitors, JSON details when requested with
+ * Accept: application/json
+ */
+export async function handleHealth(request, config) {
+    if (!(request.headers.get('Accept') || '').includes('application/json')) {
+        return addSecurityHeaders(new Response('OK', {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/plain; charset=utf-8',
+                'Cache-Control': 'no-store',
+            },
+        }));
+    }
+
+    const upstreams = getUpstreamHealth();
+    const isDegraded = Object.values(upstreams).some(upstream => upstream.state !== 'closed');
+
+    // Always 200: the worker itself is up even while an upstream circuit is open
+    return addSecurityHeaders(new Response(JSON.stringify({
+        status: isDegraded ? 'degraded' : 'ok',
+        version: config.workerVersion,
+        environment: config.environment,
+        upstreams,
+        // Issue paths only (no payload values), and only while debugging
+        validationFailures: config.debugLogging ? getRecentValidationFailures() : undefined,
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+        },
+    }));
 }
 
 export async function handlePrivacy(request) {
-    const content = getPrivacyPolicy();
-
-    // Generate ETag for content
-    const etag = await generateETag(content);
-
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.PRIVACY_POLICY));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, 'privacy', {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.PRIVACY_POLICY,
+        render: getPrivacyPolicy,
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.PRIVACY_POLICY, content));
 }
 
 export async function handleAppPrivacy(request) {
-    const content = getAppPrivacyPolicy();
-
-    // Generate ETag for content
-    const etag = await generateETag(content);
-
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.PRIVACY_POLICY));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, 'privacy-app', {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.PRIVACY_POLICY,
+        render: getAppPrivacyPolicy,
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.PRIVACY_POLICY, content));
 }
 
 export async function handleAdsTxt(request, config) {
     // Read AdSense publisher ID from environment variable
     const pubId = config.adsensePublisherId.replace('ca-', '');
-    const content = `google.com, ${pubId}, DIRECT, f08c47fec0942fa0`;
 
-    // Generate ETag for content
-    const etag = await generateETag(content);
-
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: {
-            'Content-Type': 'text/plain',
-        },
+    return serveBuildContent(request, `ads.txt:${pubId}`, {
+        contentType: 'text/plain',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => `google.com, ${pubId}, DIRECT, f08c47fec0942fa0`,
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleAppAdsTxt(request, config) {
     // app-ads.txt for AdMob (mobile apps)
     // Format: google.com, pub-0000000000000000, DIRECT, f08c47fec0942fa0
     const pubId = config.adsensePublisherId.replace('ca-', '');
-    const content = `google.com, ${pubId}, DIRECT, f08c47fec0942fa0`;
-
-    // Generate ETag for content
-    const etag = await generateETag(content);
 
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: {
-            'Content-Type': 'text/plain',
-        },
+    return serveBuildContent(request, `app-ads.txt:${pubId}`, {
+        contentType: 'text/plain',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => `google.com, ${pubId}, DIRECT, f08c47fec0942fa0`,
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleAssetLinks(request) {
-    const content = getAssetLinks();
-
-    // Generate ETag for content
-    const etag = await generateETag(content);
-
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: {
-            'Content-Type': 'application/json',
-        },
+    return serveBuildContent(request, 'assetlinks', {
+        contentType: 'application/json',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: getAssetLinks,
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleAppleAppSiteAssociation(request) {
-    const content = getAppleAppSiteAssociation();
-
-    // Generate ETag for content
-    const etag = await generateETag(content);
-
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: {
-            'Content-Type': 'application/json',
-        },
+    return serveBuildContent(request, 'apple-app-site-association', {
+        contentType: 'application/json',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: getAppleAppSiteAssociation,
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleHomepage(request, config) {
-    const content = getHomePage(config.adsensePublisherId);
-
-    // Generate ETag for content
-    const etag = await generateETag(content);
-
-    // Check if client has cached version
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.HOMEPAGE));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, `home:${config.adsensePublisherId}`, {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.HOMEPAGE,
+        render: () => getHomePage(config.adsensePublisherId),
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.HOMEPAGE, content));
-}
-
-export async function handleOptionsRequest() {
-    return addSecurityHeaders(new Response(null, {
-        status: 204,
-        headers: {
-            'Access-Control-Allow-Origin': 'https://unitune.art',
-            'Access-Control-Allow-Methods': 'GET, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
-            'Access-Control-Max-Age': '86400',
-        },
-    }));
 }
 
 export async function handleAbout(request, config) {
-    const content = getAboutPage(config.adsensePublisherId);
-    const etag = await generateETag(content);
-
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, `about:${config.adsensePublisherId}`, {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => getAboutPage(config.adsensePublisherId),
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleContact(request, config) {
-    const content = getContactPage(config.adsensePublisherId);
-    const etag = await generateETag(content);
-
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, `contact:${config.adsensePublisherId}`, {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => getContactPage(config.adsensePublisherId),
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleFaq(request, config) {
-    const content = getFaqPage(config.adsensePublisherId);
-    const etag = await generateETag(content);
-
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, `faq:${config.adsensePublisherId}`, {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => getFaqPage(config.adsensePublisherId),
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleHowItWorks(request, config) {
-    const content = getHowItWorksPage(config.adsensePublisherId);
-    const etag = await generateETag(content);
-
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
-    }
-
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    return serveBuildContent(request, `how-it-works:${config.adsensePublisherId}`, {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => getHowItWorksPage(config.adsensePublisherId),
     });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
 }
 
 export async function handleFeatures(request, config) {
-    const content = getFeaturesPage(config.adsensePublisherId);
-    const etag = await generateETag(content);
+    return serveBuildContent(request, `features:${config.adsensePublisherId}`, {
+        contentType: 'text/html; charset=utf-8',
+        cacheConfig: CACHE_CONFIG.STATIC_ASSETS,
+        render: () => getFeaturesPage(config.adsensePublisherId),
+    });
+}
 
-    if (checkETag(request, etag)) {
-        return addSecurityHeaders(createNotModifiedResponse(etag, CACHE_CONFIG.STATIC_ASSETS));
+/**
+ * Serves content that only changes with a deploy
+ * The ETag is computed once per build (getBuildETag); conditional requests are answered
+ * with 304/412 before the content is rendered
+ *
+ * @param {Request} request - The incoming request
+ * @param {string} key - Content key including every input the content depends on
+ * @param {Object} options
+ * @param {string} options.contentType - Content-Type header
+ * @param {Object} options.cacheConfig - Entry from CACHE_CONFIG
+ * @param {Function} options.render - Returns the content
+ * @returns {Promise<Response>}
+ */
+async function serveBuildContent(request, key, { contentType, cacheConfig, render }) {
+    const etag = await getBuildETag(key, render);
+    const headers = {
+        'Content-Type': contentType,
+        'Cache-Control': cacheConfig.directive,
+        'ETag': etag,
+    };
+
+    const conditional = getConditionalResponse(request, { etag }, headers);
+    if (conditional) {
+        return addSecurityHeaders(conditional);
     }
 
-    const response = new Response(content, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
-    });
-
-    return addSecurityHeaders(await addCacheHeaders(response, CACHE_CONFIG.STATIC_ASSETS, content));
+    return addSecurityHeaders(new Response(render(), { headers }));
 }
@@ -12,42 +12,42 @@
  *   wrangler deploy
  *
  * Privacy: No user data collected, no cookies set.
- * CORS: Open to all origins — public, read-only endpoint.
+ * CORS: Open to all origins — public, read-only endpoint (see config/routes.js).
  */
 
 import VERSION_DATA from '../generated-version.js';
+import { getBuildETag, getConditionalResponse } from '../security/conditional_requests.js';
+
+// Serialized once per build; the data only changes with a deploy
+const VERSION_BODY = JSON.stringify(VERSION_DATA);
 
 /**
  * Handle GET /api/version
  *
- * Returns JSON cached by the CDN for 5 minutes.
+ * Returns JSON cached by the CDN for 5 minutes, with an ETag so clients can
+ * revalidate with If-None-Match (304 when unchanged).
  * No user data is read, stored, or returned.
  *
  * @param {Request} request
- * @returns {Response}
+ * @returns {Promise<Response>}
  */
-export function handleVersion(request) {
+export async function handleVersion(request) {
   const headers = {
     'Content-Type': 'application/json; charset=utf-8',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
     // 5-minute CDN cache — short enough for releases to propagate quickly.
     'Cache-Control': 'public, max-age=300',
     'Vary': 'Accept-Encoding',
   };
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { status: 204, headers });
-  }
+  const etag = await getBuildETag('version', () => VERSION_BODY);
+  headers['ETag'] = etag;
 
-  if (request.method !== 'GET') {
-    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-      status: 405,
-      headers,
-    });
+  const conditional = getConditionalResponse(request, { etag }, headers);
+  if (conditional) {
+    return conditional;
   }
 
-  return new Response(JSON.stringify(VERSION_DATA), {
+  return new Response(VERSION_BODY, {
     status: 200,
     headers,
   });
@@ -0,0 +1,49 @@
+-- Donation ledger: one row per Ko-fi event (or imported entry), never updated or deleted.
+-- Totals are always computed from it (see the views below and utils/donation_ledger.js).
+--
+-- Apply with: wrangler d1 migrations apply DONATIONS_DB [--local | --remote]
+
+CREATE TABLE donation_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    -- kofi_transaction_id for Ko-fi events, "import:<source>:<n>" for imported entries
+    transaction_id TEXT NOT NULL UNIQUE,
+    source TEXT NOT NULL CHECK (source IN ('kofi', 'import', 'carried-over')),
+    type TEXT NOT NULL CHECK (type IN ('donation', 'subscription', 'shop', 'commission')),
+    tally TEXT NOT NULL CHECK (tally IN ('oneOff', 'monthly', 'shop')),
+    name TEXT NOT NULL,
+    -- Amount in EUR cents, as counted towards the goal
+    amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),
+    -- Amount and currency as Ko-fi sent them, before conversion
+    original_amount TEXT,
+    currency TEXT NOT NULL DEFAULT 'EUR',
+    tier TEXT,
+    first_payment INTEGER NOT NULL DEFAULT 0 CHECK (first_payment IN (0, 1)),
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX donation_ledger_created_at ON donation_ledger (created_at);
+
+CREATE TRIGGER donation_ledger_no_update BEFORE UPDATE ON donation_ledger
+BEGIN
+    SELECT RAISE(ABORT, 'donation_ledger is append-only');
+END;
+
+CREATE TRIGGER donation_ledger_no_delete BEFORE DELETE ON donation_ledger
+BEGIN
+    SELECT RAISE(ABORT, 'donation_ledger is append-only');
+END;
+
+-- Goal progress: total and one sum per tally
+CREATE VIEW donation_totals AS
+SELECT
+    COALESCE(SUM(amount_cents), 0) AS total_cents,
+    COALESCE(SUM(CASE WHEN tally = 'oneOff' THEN amount_cents END), 0) AS one_off_cents,
+    COALESCE(SUM(CASE WHEN tally = 'monthly' THEN amount_cents END), 0) AS monthly_cents,
+    COALESCE(SUM(CASE WHEN tally = 'shop' THEN amount_cents END), 0) AS shop_cents
+FROM donation_ledger;
+
+-- Supporters shown in the UI (carried-over balances are not supporters)
+CREATE VIEW recent_donations AS
+SELECT id, name, amount_cents, created_at, type, tier, first_payment
+FROM donation_ledger
+WHERE source != 'carried-over';
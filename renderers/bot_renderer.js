@@ -3,6 +3,7 @@ import { getLandingPage } from '../templates/landing_page.js';
 import { getErrorPage } from '../templates/error_page.js';
 import { addSecurityHeaders } from '../security/headers.js';
 import { escapeHtml } from '../security/html_escaper.js';
+import { getMetadataModel } from '../utils/metadata_model.js';
 
 /**
  * Server-Side rendering for bots with pre-fetched metadata
@@ -10,28 +11,11 @@ import { escapeHtml } from '../security/html_escaper.js';
  */
 export function getServerSideRenderedPage(musicUrl, metadata, config, sharedByNickname = null) {
     try {
-        // Extract metadata
-        const entities = Object.values(metadata.entitiesByUniqueId || {});
-        const firstEntity = entities[0] || {};
-        const entityType = firstEntity.type || 'song';
-        
-        // Handle different content types
-        let title, artist;
-        if (entityType === 'artist') {
-            // For artists, use name as title and "Artist" as subtitle
-            title = firstEntity.name || firstEntity.artistName || 'Unknown Artist';
-            artist = 'Artist';
-        } else if (entityType === 'album') {
-            // For albums, use album title and artist name
-            title = firstEntity.title || 'Unknown Album';
-            artist = firstEntity.artistName || 'Unknown Artist';
-        } else {
-            // For tracks (songs)
-            title = firstEntity.title || 'Unknown Song';
-            artist = firstEntity.artistName || 'Unknown Artist';
-        }
-        
-        const thumbnail = firstEntity.thumbnailUrl || '';
+        // Title, subtitle and artwork of the entity the link was shared from
+        const model = getMetadataModel(metadata, musicUrl);
+        const title = model.title;
+        const artist = model.subtitle;
+        const thumbnail = model.thumbnailUrl;
         const links = metadata.linksByPlatform || {};
 
         log(config, 'info', 'Rendering page for bot', {
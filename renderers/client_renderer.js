@@ -1,60 +1,84 @@
 import { escapeHtml } from '../security/html_escaper.js';
 import { isValidThumbnailUrl } from '../utils/url_validator.js';
+import { getMetadataModel } from '../utils/metadata_model.js';
 import { getCommonStyles } from '../templates/styles.js';
 import { SERVICES } from '../constants/services.js';
 import { addSecurityHeaders } from '../security/headers.js';
 import { getHorizontalDonationBanner, getDonationsStyles, getDonationsScript } from '../templates/donations.js';
+import { getSkeletonStyles, getPageSkeleton } from '../templates/page_skeleton.js';
+
+// UniTune logo (inherits the dynamic accent color via .logo-path)
+const UNITUNE_LOGO_SVG = `
+      <svg viewBox="0 0 842.13 985.84" xmlns="http://www.w3.org/2000/svg" style="width: 100%; height: 100%;">
+        <path class="logo-path" d="M27.4,66.27c47.21-1.28,89.07,6.86,126.48,38.09,66.15,55.21,60.95,144.27,61.18,221.93l.08,181.23c-.06,37.69-.86,74.85,1.61,112.49,6.97,106.45,93.55,175.65,199.23,165.87,42.47-3.55,83.05-19.14,116.97-44.95,92.36-69.31,92.93-166.31,91.37-269.59-.81-53.71-.31-108.8-.54-162.62.54-8.04-1.42-37.8,5.3-42.69,16.26-11.84,61.03,23.88,70.98,33.39,40.76,38.96,42.64,101.83,43.46,154.32.27,25.33.36,50.67.3,76-.11,28.44.91,59.71-.19,87.72-3.47,84.27-23.66,162.29-76.5,229.62-127.43,162.4-369.95,181.63-532.07,60.97C60.91,852.85,16.04,761.04,3.14,670.93c-4.6-32.15-2.79-71.35-2.76-104.35l.03-154.11.05-198.05c-.06-37.93-.93-76.13.76-114,.82-18.45,6-31.92,26.19-34.14Z"/>
+        <path class="logo-path" d="M548.39.27c32.61-1.76,32.41,4.66,45.8,30.51,13.33,25.75,39.38,45.82,63.55,61.14,59.59,38.01,123.95,60.45,161.72,125.48,35.17,60.55,31.75,164.75-26.84,211.97-1.84,1.48-4.59.74-6.61.17-2.7-2.29-5.04-5.81-5.16-9.34-1.14-34.32-4.14-64.88-16.53-97.5-17.4-45.81-55.32-75.56-99.64-93.86-20.16-8.32-45.76-16.27-67.19-7.41l-1.19.51c-3.33,4.16-8.05,10.61-8.7,15.95-3.52,28.74-2.76,61.05-2.78,89.91l.27,153.28c-.02,33.57,1.23,59.36-1.59,93.15-11.16,83.39-58.86,146.18-141.48,168.21-126.33,33.67-234.19-80.57-162.98-199.56,36.36-60.76,103.18-96.85,173.8-90.85,17.49,1.38,59.93,24.05,67.19-4.54,3.74-26.18,2.01-61.22,1.97-88.52l-.05-205.92c-.01-37.68-.88-75.74.72-113.35.98-23.07,1.95-33.98,25.72-39.44Z"/>
+      </svg>
+    `;
 
 /**
- * Client-Side loading page for normal users
- * JavaScript will fetch data via our API proxy
- * Now includes actual metadata in Open Graph tags for messaging app previews
+ * Share page for normal users, rendered server-side from the metadata the handler already has
+ * Works without JavaScript; the script only adds dynamic colors, the app-open attempt and,
+ * for stale cache entries, a refresh through /api/song
+ *
+ * @param {string} musicUrl - The shared music URL
+ * @param {Object} metadata - Validated (and localized) metadata
+ * @param {Object} config - Worker configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.isStale] - Metadata was served stale; refresh it in the browser
+ * @returns {Response}
  */
-export function getClientSideLoadingPage(musicUrl, metadata, config) {
-    const escapedMusicUrl = escapeHtml(musicUrl);
+export function getClientSharePage(musicUrl, metadata, config, options = {}) {
     const encodedMusicUrl = encodeURIComponent(musicUrl);
     
-    // Extract metadata for Open Graph tags
-    const entities = Object.values(metadata?.entitiesByUniqueId || {});
-    const firstEntity = entities[0] || {};
-    const entityType = firstEntity.type || 'song';
-    
-    // Handle different content types
-    let title, artist;
-    if (entityType === 'artist') {
-        // For artists, use name as title and "Artist" as subtitle
-        title = firstEntity.name || firstEntity.artistName || 'Unknown Artist';
-        artist = 'Artist';
-    } else if (entityType === 'album') {
-        // For albums, use album title and artist name
-        title = firstEntity.title || 'Unknown Album';
-        artist = firstEntity.artistName || 'Unknown Artist';
-    } else {
-        // For tracks (songs)
-        title = firstEntity.title || 'Unknown Song';
-        artist = firstEntity.artistName || 'Unknown Artist';
-    }
-    
-    const thumbnail = firstEntity.thumbnailUrl || 'https://unitune.art/logo.png';
-    
-    // Validate and escape
-    const escapedTitle = escapeHtml(title);
-    const escapedArtist = escapeHtml(artist);
+    // Metadata for Open Graph tags (entity the link was shared from)
+    const model = getMetadataModel(metadata, musicUrl);
+    const escapedTitle = escapeHtml(model.title);
+    const escapedArtist = escapeHtml(model.subtitle);
+    const thumbnail = model.thumbnailUrl || 'https://unitune.art/logo.png';
     const validatedThumbnail = isValidThumbnailUrl(thumbnail) ? escapeHtml(thumbnail) : 'https://unitune.art/logo.png';
 
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
-  <meta name="google-adsense-account" content="${config.adsensePublisherId}">
-  <title>${escapedTitle} - ${escapedArtist}</title>
+    const headTags = `<title>${escapedTitle} - ${escapedArtist}</title>
   
   <meta property="og:title" content="${escapedTitle}">
   <meta property="og:description" content="${escapedArtist}">
   <meta property="og:image" content="${validatedThumbnail}">
   <meta property="og:url" content="https://unitune.art/s/${encodedMusicUrl}">
-  <meta property="og:type" content="music.song">
+  <meta property="og:type" content="music.song">`;
+
+    const html = getSharePageHead(config, headTags) + getClientSharePageBody(musicUrl, metadata, config, options);
+
+    return addSecurityHeaders(new Response(html, {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    }));
+}
+
+/**
+ * Start of a streamed share page: head, styles, banner and loading skeleton
+ * Sent before the metadata is known, so it carries a generic title and no Open Graph tags
+ * (bots always get the fully rendered page)
+ *
+ * @param {Object} config - Worker configuration
+ * @returns {string} - HTML
+ */
+export function getClientSharePageShell(config) {
+    return getSharePageHead(config, '<title>UniTune</title>') + getPageSkeleton(4);
+}
+
+/**
+ * Document start shared by the full and the streamed share page
+ *
+ * @param {Object} config - Worker configuration
+ * @param {string} headTags - <title> and Open Graph tags
+ * @returns {string} - HTML up to the opened .main-wrapper
+ */
+function getSharePageHead(config, headTags) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
+  <meta name="google-adsense-account" content="${config.adsensePublisherId}">
+  ${headTags}
   <meta name="theme-color" content="#0D1117">
   
   <!-- AdSense -->
@@ -63,6 +87,7 @@ export function getClientSideLoadingPage(musicUrl, metadata, config) {
   <style>
     ${getCommonStyles()}
     ${getDonationsStyles()}
+    ${getSkeletonStyles()}
     
     .main-wrapper {
         width: 100%;
@@ -75,107 +100,11 @@ export function getClientSideLoadingPage(musicUrl, metadata, config) {
         justify-content: flex-start;
     }
 
-    #loading-state {
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        min-height: 60vh;
-        text-align: center;
-        animation: fadeIn 0.5s ease-out;
-    }
-
-    .spinner {
-        border: 4px solid rgba(255,255,255,0.1);
-        border-top: 4px solid var(--primary);
-        border-radius: 50%;
-        width: 60px;
-        height: 60px;
-        animation: spin 1s linear infinite;
-        margin-bottom: 24px;
-    }
-
-    @keyframes spin {
-        0% { transform: rotate(0deg); }
-        100% { transform: rotate(360deg); }
-    }
-
-    .loading-text {
-        font-size: 18px;
-        color: var(--text-secondary);
-        margin-bottom: 12px;
-    }
-
-    .loading-subtext {
-        font-size: 14px;
-        color: var(--text-muted);
-    }
-
     #content-state {
-        display: none;
         width: 100%;
         animation: fadeIn 0.5s ease-out;
     }
 
-    #error-state {
-        display: none;
-        text-align: center;
-        animation: fadeIn 0.5s ease-out;
-    }
-
-    .error-icon {
-        font-size: 64px;
-        margin-bottom: 24px;
-    }
-
-    .error-title {
-        font-size: 24px;
-        font-weight: 700;
-        margin-bottom: 12px;
-        color: var(--text-primary);
-    }
-
-    .error-message {
-        font-size: 16px;
-        color: var(--text-secondary);
-        margin-bottom: 24px;
-        line-height: 1.5;
-    }
-
-    .retry-button {
-        display: inline-flex;
-        align-items: center;
-        gap: 8px;
-        padding: 12px 24px;
-        background: var(--primary);
-        color: white;
-        border: none;
-        border-radius: 12px;
-        font-size: 16px;
-        font-weight: 600;
-        cursor: pointer;
-        transition: all 0.2s;
-    }
-
-    .retry-button:hover {
-        background: var(--primary-light);
-        transform: translateY(-2px);
-    }
-
-    .original-link {
-        margin-top: 16px;
-    }
-
-    .original-link a {
-        color: var(--primary);
-        text-decoration: none;
-        font-size: 14px;
-    }
-
-    .original-link a:hover {
-        text-decoration: underline;
-    }
-
     /* Content styles (same as landing page) */
     .hero {
         margin-top: 20px;
@@ -406,25 +335,62 @@ export function getClientSideLoadingPage(musicUrl, metadata, config) {
   ${getHorizontalDonationBanner()}
   
   <div class="main-wrapper">
-    <!-- Loading State -->
-    <div id="loading-state">
-      <div class="spinner"></div>
-      <div class="loading-text">Loading song information...</div>
-      <div class="loading-subtext">Fetching from music platforms</div>
-    </div>
+`;
+}
 
-    <!-- Content State (filled by JavaScript) -->
-    <div id="content-state"></div>
-
-    <!-- Error State -->
-    <div id="error-state">
-      <h1 class="error-title">Unable to Load</h1>
-      <p class="error-message" id="error-message"></p>
-      <button class="retry-button" onclick="location.reload()">
-        <span>Try Again</span>
-      </button>
-      <div class="original-link">
-        <a href="${escapedMusicUrl}" target="_blank">Open Original Link →</a>
+/**
+ * Rest of the share page after the shell: content, footer and scripts
+ *
+ * @param {string} musicUrl - The shared music URL
+ * @param {Object} metadata - Validated (and localized) metadata
+ * @param {Object} config - Worker configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.isStale] - Metadata was served stale; refresh it in the browser
+ * @returns {string} - HTML
+ */
+export function getClientSharePageBody(musicUrl, metadata, config, { isStale = false } = {}) {
+    const encodedMusicUrl = encodeURIComponent(musicUrl);
+    const model = getMetadataModel(metadata, musicUrl);
+    const title = model.title;
+    const artist = model.subtitle;
+
+    const escapedTitle = escapeHtml(title);
+    const escapedArtist = escapeHtml(artist);
+    const hasArtwork = isValidThumbnailUrl(model.thumbnailUrl);
+    const validatedThumbnail = hasArtwork ? escapeHtml(model.thumbnailUrl) : '';
+    const appUrl = `unitune://open?url=${encodedMusicUrl}&title=${encodeURIComponent(title)}&artist=${encodeURIComponent(artist)}`;
+    const serviceRows = getServiceRows(metadata?.linksByPlatform || {});
+
+    return `
+    <!-- Content (server-rendered) -->
+    <div id="content-state">
+      <div class="hero">
+        <div class="album-art-container">
+          ${hasArtwork ? `<div class="album-glow" style="background-image: url('${validatedThumbnail}')"></div>
+          <img src="${validatedThumbnail}" alt="Album Art" class="album-art" crossorigin="anonymous" id="album-art-img">` : ''}
+        </div>
+        <div class="song-info">
+          <h1 class="song-title">${escapedTitle}</h1>
+          <p class="artist-name">${escapedArtist}</p>
+        </div>
+      </div>
+      <a href="${escapeHtml(appUrl)}" class="get-app-btn glass-card">
+        <div class="app-logo">${UNITUNE_LOGO_SVG}</div>
+        <span>Open in UniTune</span>
+      </a>
+      <div class="links-container" id="links-container">
+        ${serviceRows}
+      </div>
+
+      <!-- Google AdSense -->
+      <div class="ad-container" id="ad-container-bottom">
+          <div class="ad-label">Advertisement</div>
+          <ins class="adsbygoogle"
+               style="display:block"
+               data-ad-client="${config.adsensePublisherId}"
+               data-ad-slot="1801419133"
+               data-ad-format="auto"
+               data-full-width-responsive="true"></ins>
       </div>
     </div>
 
@@ -439,199 +405,171 @@ export function getClientSideLoadingPage(musicUrl, metadata, config) {
     const MUSIC_URL = ${JSON.stringify(musicUrl)};
     const API_PROXY = '/api/song';
     const SERVICES = ${JSON.stringify(SERVICES)};
+    const IS_STALE = ${isStale ? 'true' : 'false'};
+    const UNITUNE_LOGO_SVG = ${JSON.stringify(UNITUNE_LOGO_SVG)};
 
-    // UniTune Logo SVG (dynamically colored)
-    const UNITUNE_LOGO_SVG = \`
-      <svg viewBox="0 0 842.13 985.84" xmlns="http://www.w3.org/2000/svg" style="width: 100%; height: 100%;">
-        <path class="logo-path" d="M27.4,66.27c47.21-1.28,89.07,6.86,126.48,38.09,66.15,55.21,60.95,144.27,61.18,221.93l.08,181.23c-.06,37.69-.86,74.85,1.61,112.49,6.97,106.45,93.55,175.65,199.23,165.87,42.47-3.55,83.05-19.14,116.97-44.95,92.36-69.31,92.93-166.31,91.37-269.59-.81-53.71-.31-108.8-.54-162.62.54-8.04-1.42-37.8,5.3-42.69,16.26-11.84,61.03,23.88,70.98,33.39,40.76,38.96,42.64,101.83,43.46,154.32.27,25.33.36,50.67.3,76-.11,28.44.91,59.71-.19,87.72-3.47,84.27-23.66,162.29-76.5,229.62-127.43,162.4-369.95,181.63-532.07,60.97C60.91,852.85,16.04,761.04,3.14,670.93c-4.6-32.15-2.79-71.35-2.76-104.35l.03-154.11.05-198.05c-.06-37.93-.93-76.13.76-114,.82-18.45,6-31.92,26.19-34.14Z"/>
-        <path class="logo-path" d="M548.39.27c32.61-1.76,32.41,4.66,45.8,30.51,13.33,25.75,39.38,45.82,63.55,61.14,59.59,38.01,123.95,60.45,161.72,125.48,35.17,60.55,31.75,164.75-26.84,211.97-1.84,1.48-4.59.74-6.61.17-2.7-2.29-5.04-5.81-5.16-9.34-1.14-34.32-4.14-64.88-16.53-97.5-17.4-45.81-55.32-75.56-99.64-93.86-20.16-8.32-45.76-16.27-67.19-7.41l-1.19.51c-3.33,4.16-8.05,10.61-8.7,15.95-3.52,28.74-2.76,61.05-2.78,89.91l.27,153.28c-.02,33.57,1.23,59.36-1.59,93.15-11.16,83.39-58.86,146.18-141.48,168.21-126.33,33.67-234.19-80.57-162.98-199.56,36.36-60.76,103.18-96.85,173.8-90.85,17.49,1.38,59.93,24.05,67.19-4.54,3.74-26.18,2.01-61.22,1.97-88.52l-.05-205.92c-.01-37.68-.88-75.74.72-113.35.98-23.07,1.95-33.98,25.72-39.44Z"/>
-      </svg>
-    \`;
+    // Streamed pages flush a generic <title> before the metadata is known
+    document.title = ${toScriptString(`${title} - ${artist}`)};
 
-    async function loadSongData() {
-      try {
-        const response = await fetch(
-          API_PROXY + '?url=' + encodeURIComponent(MUSIC_URL)
-        );
-
-        if (response.status === 429) {
-          showError(
-            'Too Many Requests',
-            'The music service is currently rate-limited. Please wait a moment and try again.\\n\\nRate limit: 10 requests per minute'
-          );
-          return;
-        }
+    // Initialize AdSense
+    try {
+      (adsbygoogle = window.adsbygoogle || []).push({});
+    } catch (e) {
+      console.error('AdSense initialization failed:', e);
+    }
 
-        if (!response.ok) {
-          showError(
-            'Song Not Found',
-            'This song could not be found on streaming platforms. The link might be invalid or the song might not be available.'
-          );
-          return;
-        }
+    // Extract colors from album art
+    extractColorsFromImage();
 
-        const data = await response.json();
-        renderSongPage(data);
+    // Metadata came from a stale cache entry: pick up the refreshed one. The refresh runs in
+    // the background of this page's request, so /api/song may still serve the stale entry
+    // for a moment; ask again (STALE_RETRY_DELAYS, in seconds) until it is fresh
+    const STALE_RETRY_DELAYS = [2, 5, 10];
+    if (IS_STALE) {
+      refreshSongData(0);
+    }
 
+    async function refreshSongData(attempt, isRateLimitRetry) {
+      try {
+        const response = await fetch(API_PROXY + '?url=' + encodeURIComponent(MUSIC_URL));
+        if (response.ok) {
+          const data = await response.json();
+          if (!data.stale) {
+            updateSongPage(data);
+          } else if (attempt < STALE_RETRY_DELAYS.length) {
+            setTimeout(() => refreshSongData(attempt + 1, isRateLimitRetry), STALE_RETRY_DELAYS[attempt] * 1000);
+          }
+        } else if (response.status === 429 && !isRateLimitRetry) {
+          // Rate limited: try once more when the limit says a request is allowed again
+          const delay = getRetryDelay(response);
+          if (delay !== null && delay <= 60) {
+            setTimeout(() => refreshSongData(attempt, true), delay * 1000);
+          }
+        }
       } catch (error) {
-        console.error('Error loading song:', error);
-        showError(
-          'Connection Error',
-          'Unable to connect to the music service. Please check your internet connection and try again.'
-        );
+        // The server-rendered page is already complete
       }
     }
 
-    function renderSongPage(data) {
-      const entities = Object.values(data.entitiesByUniqueId || {});
-      const firstEntity = entities[0] || {};
-      const entityType = firstEntity.type || 'song';
-      
-      // Handle different content types
-      let title, artist;
-      if (entityType === 'artist') {
-        // For artists, use name as title and "Artist" as subtitle
-        title = firstEntity.name || firstEntity.artistName || 'Unknown Artist';
-        artist = 'Artist';
-      } else if (entityType === 'album') {
-        // For albums, use album title and artist name
-        title = firstEntity.title || 'Unknown Album';
-        artist = firstEntity.artistName || 'Unknown Artist';
-      } else {
-        // For tracks (songs)
-        title = firstEntity.title || 'Unknown Song';
-        artist = firstEntity.artistName || 'Unknown Artist';
-      }
-      
-      const thumbnail = firstEntity.thumbnailUrl || '';
-      const links = data.linksByPlatform || {};
+    // Seconds until the next request is allowed: "t" of the RateLimit header, else Retry-After
+    function getRetryDelay(response) {
+      const reset = /;\\s*t=(\\d+)/.exec(response.headers.get('RateLimit') || '');
+      const seconds = parseInt(reset ? reset[1] : response.headers.get('Retry-After'), 10);
+      return Number.isNaN(seconds) ? null : seconds;
+    }
 
-      // Update page title
-      document.title = title + ' - ' + artist;
+    function updateSongPage(data) {
+      // /api/song adds the display model (see utils/metadata_model.js)
+      const display = data.display || {};
+      if (display.title && display.subtitle) {
+        document.querySelector('.song-title').textContent = display.title;
+        document.querySelector('.artist-name').textContent = display.subtitle;
+        document.title = display.title + ' - ' + display.subtitle;
+      }
 
-      // Build service buttons
-      let serviceButtons = '';
+      const links = data.linksByPlatform || {};
+      const rows = [];
       for (const [key, service] of Object.entries(SERVICES)) {
-        const link = links[key]?.url;
-        if (link) {
-          serviceButtons += \`
-            <a href="\${link}" class="service-row">
-              <div class="service-left">
-                <div class="service-icon">
-                  <img src="\${service.logo}" alt="\${service.name}" loading="lazy">
-                </div>
-                <span class="service-name">\${service.name}</span>
-              </div>
-              <div class="service-action">Play</div>
-            </a>
-          \`;
+        const url = links[key]?.url;
+        if (url) {
+          rows.push(createServiceRow(url, service));
         }
       }
+      if (rows.length > 0) {
+        document.getElementById('links-container').replaceChildren(...rows);
+      }
+    }
 
-      // Render content
-      document.getElementById('content-state').innerHTML = \`
-        <div class="hero">
-          <div class="album-art-container">
-            <div class="album-glow" style="background-image: url('\${thumbnail}')"></div>
-            \${thumbnail ? \`<img src="\${thumbnail}" alt="Album Art" class="album-art" crossorigin="anonymous" id="album-art-img">\` : ''}
-          </div>
-          <div class="song-info">
-            <h1 class="song-title">\${escapeHtml(title)}</h1>
-            <p class="artist-name">\${escapeHtml(artist)}</p>
-          </div>
-        </div>
-        <a href="unitune://open?url=\${encodeURIComponent(MUSIC_URL)}&title=\${encodeURIComponent(title)}&artist=\${encodeURIComponent(artist)}" class="get-app-btn glass-card">
-          <div class="app-logo">\${UNITUNE_LOGO_SVG}</div>
-          <span>Open in UniTune</span>
-        </a>
-        <div class="links-container">
-          \${serviceButtons}
-        </div>
-        
-        <!-- Google AdSense -->
-        <div class="ad-container" id="ad-container-bottom">
-            <div class="ad-label">Advertisement</div>
-            <ins class="adsbygoogle"
-                 style="display:block"
-                 data-ad-client="${config.adsensePublisherId}"
-                 data-ad-slot="1801419133"
-                 data-ad-format="auto"
-                 data-full-width-responsive="true"></ins>
-        </div>
-      \`;
+    function createServiceRow(url, service) {
+      const row = document.createElement('a');
+      row.className = 'service-row';
+      row.href = url;
 
-      // Show content, hide loading
-      document.getElementById('loading-state').style.display = 'none';
-      document.getElementById('content-state').style.display = 'block';
+      const left = document.createElement('div');
+      left.className = 'service-left';
+      const icon = document.createElement('div');
+      icon.className = 'service-icon';
+      const logo = document.createElement('img');
+      logo.src = service.logo;
+      logo.alt = service.name;
+      logo.loading = 'lazy';
+      icon.appendChild(logo);
+      const name = document.createElement('span');
+      name.className = 'service-name';
+      name.textContent = service.name;
+      left.append(icon, name);
 
-      // Initialize AdSense
-      try {
-        (adsbygoogle = window.adsbygoogle || []).push({});
-      } catch (e) {
-        console.error('AdSense initialization failed:', e);
-      }
+      const action = document.createElement('div');
+      action.className = 'service-action';
+      action.textContent = 'Play';
 
-      // Extract colors from album art
-      if (thumbnail) {
-        extractColorsFromImage(thumbnail);
-      }
+      row.append(left, action);
+      return row;
     }
 
     // Color extraction function
-    function extractColorsFromImage(imageUrl) {
+    function extractColorsFromImage() {
       const img = document.getElementById('album-art-img');
       if (!img) return;
 
-      img.addEventListener('load', function() {
-        try {
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-          
-          canvas.width = img.naturalWidth;
-          canvas.height = img.naturalHeight;
-          ctx.drawImage(img, 0, 0);
+      if (img.complete && img.naturalWidth > 0) {
+        applyDominantColor(img);
+      } else {
+        img.addEventListener('load', function() {
+          applyDominantColor(img);
+        });
+      }
+    }
 
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const pixels = imageData.data;
-          
-          // Sample pixels and find dominant color
-          const colorMap = {};
-          const sampleRate = 10;
-          
-          for (let i = 0; i < pixels.length; i += 4 * sampleRate) {
-            const r = pixels[i];
-            const g = pixels[i + 1];
-            const b = pixels[i + 2];
-            const a = pixels[i + 3];
-            
-            if (a < 125 || (r + g + b) < 50 || (r + g + b) > 700) continue;
-            
-            const qr = Math.round(r / 10) * 10;
-            const qg = Math.round(g / 10) * 10;
-            const qb = Math.round(b / 10) * 10;
-            const key = \`\${qr},\${qg},\${qb}\`;
-            
-            colorMap[key] = (colorMap[key] || 0) + 1;
-          }
-          
-          let dominantColor = null;
-          let maxCount = 0;
-          
-          for (const [color, count] of Object.entries(colorMap)) {
-            if (count > maxCount) {
-              maxCount = count;
-              dominantColor = color;
-            }
-          }
-          
-          if (dominantColor) {
-            const [r, g, b] = dominantColor.split(',').map(Number);
-            applyDynamicColors(r, g, b);
+    function applyDominantColor(img) {
+      try {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        ctx.drawImage(img, 0, 0);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const pixels = imageData.data;
+
+        // Sample pixels and find dominant color
+        const colorMap = {};
+        const sampleRate = 10;
+
+        for (let i = 0; i < pixels.length; i += 4 * sampleRate) {
+          const r = pixels[i];
+          const g = pixels[i + 1];
+          const b = pixels[i + 2];
+          const a = pixels[i + 3];
+
+          if (a < 125 || (r + g + b) < 50 || (r + g + b) > 700) continue;
+
+          const qr = Math.round(r / 10) * 10;
+          const qg = Math.round(g / 10) * 10;
+          const qb = Math.round(b / 10) * 10;
+          const key = \`\${qr},\${qg},\${qb}\`;
+
+          colorMap[key] = (colorMap[key] || 0) + 1;
+        }
+
+        let dominantColor = null;
+        let maxCount = 0;
+
+        for (const [color, count] of Object.entries(colorMap)) {
+          if (count > maxCount) {
+            maxCount = count;
+            dominantColor = color;
           }
-        } catch (e) {
-          console.error('Color extraction failed:', e);
         }
-      });
+
+        if (dominantColor) {
+          const [r, g, b] = dominantColor.split(',').map(Number);
+          applyDynamicColors(r, g, b);
+        }
+      } catch (e) {
+        console.error('Color extraction failed:', e);
+      }
     }
 
     function applyDynamicColors(r, g, b) {
@@ -645,23 +583,7 @@ export function getClientSideLoadingPage(musicUrl, metadata, config) {
       document.body.style.backgroundImage = \`radial-gradient(ellipse 150% 80% at 50% -10%, rgba(\${r}, \${g}, \${b}, 0.15) 0%, rgba(13, 17, 23, 0.95) 50%, #0D1117 100%)\`;
     }
 
-    function showError(title, message) {
-      document.getElementById('error-message').textContent = message;
-      document.querySelector('.error-title').textContent = title;
-      document.getElementById('loading-state').style.display = 'none';
-      document.getElementById('error-state').style.display = 'block';
-    }
-
-    function escapeHtml(text) {
-      const div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
-    }
-
-    // Start loading
-    loadSongData();
-
-    // Automatic app redirect
+    // Automatic app redirect (the "Open in UniTune" link works without it)
     (function() {
       const appUrl = 'unitune://open?url=' + encodeURIComponent(MUSIC_URL);
       let appOpened = false;
@@ -705,24 +627,47 @@ export function getClientSideLoadingPage(musicUrl, metadata, config) {
         }, 2500);
       }
 
-      const checkContent = setInterval(function() {
-        if (document.getElementById('content-state').style.display === 'block') {
-          clearInterval(checkContent);
-          setTimeout(tryOpenApp, 500);
-        }
-      }, 100);
+      setTimeout(tryOpenApp, 500);
     })();
   </script>
   
   ${getDonationsScript()}
 </body>
 </html>`;
+}
 
-    return addSecurityHeaders(new Response(html, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
-    }));
+/**
+ * JSON string literal that is safe inside an inline <script> (no "</script>" breakout)
+ */
+function toScriptString(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
 }
 
+/**
+ * Service rows for the share page, in SERVICES order
+ *
+ * @param {Object} links - linksByPlatform (validated)
+ * @returns {string} - HTML
+ */
+function getServiceRows(links) {
+    let rows = '';
+    for (const [key, service] of Object.entries(SERVICES)) {
+        const link = links[key]?.url;
+        if (link) {
+            rows += `
+        <a href="${escapeHtml(link)}" class="service-row">
+          <div class="service-left">
+            <div class="service-icon">
+              <img src="${service.logo}" alt="${service.name}" loading="lazy">
+            </div>
+            <span class="service-name">${service.name}</span>
+          </div>
+          <div class="service-action">Play</div>
+        </a>`;
+        }
+    }
+    return rows;
+}
 
 /**
  * Client-Side playlist page for normal users
@@ -733,49 +678,47 @@ export function getPlaylistClientPage(playlist, playlistId, config) {
     const trackCount = Array.isArray(playlist.tracks) ? playlist.tracks.length : 0;
     const thumbnail = trackCount > 0 ? (isValidThumbnailUrl(playlist.tracks[0]?.thumbnailUrl) ? escapeHtml(playlist.tracks[0].thumbnailUrl) : 'https://unitune.art/logo.png') : 'https://unitune.art/logo.png';
     const creatorNickname = playlist.creatorNickname ? escapeHtml(playlist.creatorNickname) : null;
-    const description = playlist.description ? escapeHtml(playlist.description) : null;
 
-    // Build track list HTML
-    let tracksHtml = '';
-    if (trackCount > 0) {
-        for (let i = 0; i < playlist.tracks.length; i++) {
-            const track = playlist.tracks[i];
-            const trackTitle = escapeHtml(track.title || 'Unknown Track');
-            const trackArtist = escapeHtml(track.artist || 'Unknown Artist');
-            const trackThumb = isValidThumbnailUrl(track.thumbnailUrl) ? escapeHtml(track.thumbnailUrl) : 'https://unitune.art/logo.png';
-            const trackUrl = track.originalUrl ? escapeHtml(track.originalUrl) : '#';
+    const headTags = `<title>${title}</title>
+  
+  <meta property="og:title" content="${title}">
+  <meta property="og:description" content="${creatorNickname ? `${trackCount} tracks • by ${creatorNickname}` : `${trackCount} tracks`}">
+  <meta property="og:image" content="${thumbnail}">
+  <meta property="og:url" content="https://unitune.art/p/${playlistId}">
+  <meta property="og:type" content="music.playlist">`;
 
-            tracksHtml += `
-                <div class="track-item">
-                    <div class="track-number">${i + 1}</div>
-                    <img src="${trackThumb}" alt="${trackTitle}" class="track-thumbnail" loading="lazy">
-                    <div class="track-info">
-                        <div class="track-title">${trackTitle}</div>
-                        <div class="track-artist">${trackArtist}</div>
-                    </div>
-                    ${trackUrl !== '#' ? `<a href="${trackUrl}" class="track-play-btn" target="_blank" rel="noopener noreferrer">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M8 5v14l11-7z"/>
-                        </svg>
-                    </a>` : ''}
-                </div>
-            `;
-        }
-    }
+    const html = getPlaylistPageHead(config, headTags) + getPlaylistClientPageBody(playlist, playlistId, config);
 
-    const html = `<!DOCTYPE html>
+    return addSecurityHeaders(new Response(html, {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    }));
+}
+
+/**
+ * Start of a streamed playlist page: head, styles, banner and loading skeleton
+ *
+ * @param {Object} config - Worker configuration
+ * @returns {string} - HTML
+ */
+export function getPlaylistClientPageShell(config) {
+    return getPlaylistPageHead(config, '<title>UniTune Playlist</title>') + getPageSkeleton(6);
+}
+
+/**
+ * Document start shared by the full and the streamed playlist page
+ *
+ * @param {Object} config - Worker configuration
+ * @param {string} headTags - <title> and Open Graph tags
+ * @returns {string} - HTML up to the opened .main-wrapper
+ */
+function getPlaylistPageHead(config, headTags) {
+    return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
   <meta name="google-adsense-account" content="${config.adsensePublisherId}">
-  <title>${title}</title>
-  
-  <meta property="og:title" content="${title}">
-  <meta property="og:description" content="${creatorNickname ? `${trackCount} tracks • by ${creatorNickname}` : `${trackCount} tracks`}">
-  <meta property="og:image" content="${thumbnail}">
-  <meta property="og:url" content="https://unitune.art/p/${playlistId}">
-  <meta property="og:type" content="music.playlist">
+  ${headTags}
   <meta name="theme-color" content="#0D1117">
   
   <!-- AdSense -->
@@ -784,6 +727,7 @@ export function getPlaylistClientPage(playlist, playlistId, config) {
   <style>
     ${getCommonStyles()}
     ${getDonationsStyles()}
+    ${getSkeletonStyles()}
     
     .main-wrapper {
         width: 100%;
@@ -1043,6 +987,53 @@ export function getPlaylistClientPage(playlist, playlistId, config) {
   ${getHorizontalDonationBanner()}
   
   <div class="main-wrapper">
+`;
+}
+
+/**
+ * Rest of the playlist page after the shell: hero, tracks, footer and scripts
+ *
+ * @param {Object} playlist - Validated playlist
+ * @param {string} playlistId - Playlist ID from the path
+ * @param {Object} config - Worker configuration
+ * @returns {string} - HTML
+ */
+export function getPlaylistClientPageBody(playlist, playlistId, config) {
+    const title = escapeHtml(playlist.title || 'UniTune Playlist');
+    const trackCount = Array.isArray(playlist.tracks) ? playlist.tracks.length : 0;
+    const thumbnail = trackCount > 0 ? (isValidThumbnailUrl(playlist.tracks[0]?.thumbnailUrl) ? escapeHtml(playlist.tracks[0].thumbnailUrl) : 'https://unitune.art/logo.png') : 'https://unitune.art/logo.png';
+    const creatorNickname = playlist.creatorNickname ? escapeHtml(playlist.creatorNickname) : null;
+    const description = playlist.description ? escapeHtml(playlist.description) : null;
+
+    // Build track list HTML
+    let tracksHtml = '';
+    if (trackCount > 0) {
+        for (let i = 0; i < playlist.tracks.length; i++) {
+            const track = playlist.tracks[i];
+            const trackTitle = escapeHtml(track.title || 'Unknown Track');
+            const trackArtist = escapeHtml(track.artist || 'Unknown Artist');
+            const trackThumb = isValidThumbnailUrl(track.thumbnailUrl) ? escapeHtml(track.thumbnailUrl) : 'https://unitune.art/logo.png';
+            const trackUrl = track.originalUrl ? escapeHtml(track.originalUrl) : '#';
+
+            tracksHtml += `
+                <div class="track-item">
+                    <div class="track-number">${i + 1}</div>
+                    <img src="${trackThumb}" alt="${trackTitle}" class="track-thumbnail" loading="lazy">
+                    <div class="track-info">
+                        <div class="track-title">${trackTitle}</div>
+                        <div class="track-artist">${trackArtist}</div>
+                    </div>
+                    ${trackUrl !== '#' ? `<a href="${trackUrl}" class="track-play-btn" target="_blank" rel="noopener noreferrer">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M8 5v14l11-7z"/>
+                        </svg>
+                    </a>` : ''}
+                </div>
+            `;
+        }
+    }
+
+    return `
     <div class="hero">
       <div class="playlist-art-container">
         <div class="playlist-glow" style="background-image: url('${thumbnail}')"></div>
@@ -1093,6 +1084,9 @@ export function getPlaylistClientPage(playlist, playlistId, config) {
   </div>
 
   <script>
+    // Streamed pages flush a generic <title> before the playlist is known
+    document.title = ${toScriptString(playlist.title || 'UniTune Playlist')};
+
     // Initialize AdSense
     try {
       (adsbygoogle = window.adsbygoogle || []).push({});
@@ -1212,8 +1206,5 @@ export function getPlaylistClientPage(playlist, playlistId, config) {
   ${getDonationsScript()}
 </body>
 </html>`;
-
-    return addSecurityHeaders(new Response(html, {
-        headers: { 'Content-Type': 'text/html; charset=utf-8' },
-    }));
 }
+
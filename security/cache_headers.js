@@ -3,6 +3,8 @@
  * 
  * Provides utilities for setting appropriate Cache-Control headers and ETags
  * for different types of content to optimize caching while ensuring freshness.
+ * Conditional requests (If-None-Match, If-Modified-Since, ...) are evaluated by
+ * conditional_requests.js.
  * 
  * Requirements: 13.1, 13.2, 13.3, 13.4, 13.5, 13.6
  */
@@ -68,6 +70,20 @@ export const CACHE_CONFIG = {
         directive: 'public, max-age=3600',
         includeETag: true,
     },
+
+    // Public read-only API data (version, donations): 5 minutes
+    PUBLIC_API: {
+        maxAge: 300,
+        directive: 'public, max-age=300',
+        includeETag: true,
+    },
+
+    // Per-request API responses: never stored
+    API_RESPONSES: {
+        maxAge: 0,
+        directive: 'no-store',
+        includeETag: false,
+    },
 };
 
 /**
@@ -96,33 +112,3 @@ export async function addCacheHeaders(response, cacheConfig, content = null) {
         headers: headers,
     });
 }
-
-/**
- * Checks if a request has a matching ETag (for conditional requests)
- * 
- * @param {Request} request - The incoming request
- * @param {string} etag - The current ETag value
- * @returns {boolean} - True if ETags match (304 Not Modified should be returned)
- */
-export function checkETag(request, etag) {
-    const ifNoneMatch = request.headers.get('If-None-Match');
-    return ifNoneMatch === etag;
-}
-
-/**
- * Creates a 304 Not Modified response
- * 
- * @param {string} etag - The ETag value
- * @param {Object} cacheConfig - Cache configuration object
- * @returns {Response} - 304 Not Modified response
- */
-export function createNotModifiedResponse(etag, cacheConfig) {
-    return new Response(null, {
-        status: 304,
-        statusText: 'Not Modified',
-        headers: {
-            'ETag': etag,
-            'Cache-Control': cacheConfig.directive,
-        },
-    });
-}
@@ -0,0 +1,178 @@
+import { generateETag } from './cache_headers.js';
+
+/**
+ * Conditional Requests Module
+ *
+ * Evaluates If-Match, If-None-Match, If-Modified-Since and If-Unmodified-Since
+ * against a representation's validators as described in RFC 9110 section 13:
+ * - Entity-tag lists, "*" and weak (W/"...") validators
+ * - Strong comparison for If-Match, weak comparison for If-None-Match
+ * - Date conditions only apply when no entity-tag condition of the same kind is present
+ * - GET/HEAD requests that match If-None-Match get 304, other methods get 412
+ *
+ * ETags of content that only changes with a deploy (templates, version data) are
+ * memoized per isolate with getBuildETag, so they are hashed once per build.
+ */
+
+// ETags of build-constant content, keyed by content key (per isolate, i.e. per deployed build)
+const buildETags = new Map();
+
+// Headers a 304 carries over from the full response (RFC 9110 section 15.4.5, plus CORS)
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary'];
+
+/**
+ * Returns the ETag of build-constant content, hashing it only the first time
+ *
+ * @param {string} key - Identifies the content, including every input it depends on
+ *   (e.g. `about:${adsensePublisherId}`)
+ * @param {Function} getContent - Returns the content (only called on the first request)
+ * @returns {Promise<string>} - Strong ETag
+ */
+export function getBuildETag(key, getContent) {
+    let etag = buildETags.get(key);
+    if (!etag) {
+        etag = generateETag(getContent());
+        buildETags.set(key, etag);
+    }
+    return etag;
+}
+
+/**
+ * Parses an If-Match / If-None-Match header value
+ *
+ * @param {string|null} value - Header value
+ * @returns {'*'|Array<{weak: boolean, opaque: string}>|null} - "*", the listed entity tags,
+ *   or null if the header is absent
+ */
+export function parseEntityTags(value) {
+    if (value == null) {
+        return null;
+    }
+    if (value.trim() === '*') {
+        return '*';
+    }
+
+    const tags = [];
+    const pattern = /(W\/)?("[^"]*")/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        tags.push({ weak: !!match[1], opaque: match[2] });
+    }
+    return tags;
+}
+
+/**
+ * Evaluates the request's preconditions against the current representation
+ * (RFC 9110 section 13.2.2; only meaningful when the response would otherwise be 2xx)
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} validators
+ * @param {string|null} [validators.etag] - Current ETag (strong "..." or weak W/"...")
+ * @param {Date|string|null} [validators.lastModified] - Last modification time
+ * @returns {304|412|null} - Status to answer with, or null to send the full response
+ */
+export function evaluatePreconditions(request, { etag = null, lastModified = null } = {}) {
+    const method = request.method.toUpperCase();
+    const isSafe = method === 'GET' || method === 'HEAD';
+    const current = etag ? parseEntityTags(etag)[0] : null;
+    const modifiedAt = toSeconds(lastModified);
+
+    // 1. If-Match (strong comparison), else 2. If-Unmodified-Since
+    const ifMatch = parseEntityTags(request.headers.get('If-Match'));
+    if (ifMatch) {
+        if (!matchesAny(ifMatch, current, true)) {
+            return 412;
+        }
+    } else {
+        const unmodifiedSince = parseHttpDate(request.headers.get('If-Unmodified-Since'));
+        if (unmodifiedSince !== null && modifiedAt !== null && modifiedAt > unmodifiedSince) {
+            return 412;
+        }
+    }
+
+    // 3. If-None-Match (weak comparison), else 4. If-Modified-Since (GET/HEAD only)
+    const ifNoneMatch = parseEntityTags(request.headers.get('If-None-Match'));
+    if (ifNoneMatch) {
+        if (matchesAny(ifNoneMatch, current, false)) {
+            return isSafe ? 304 : 412;
+        }
+    } else if (isSafe) {
+        const modifiedSince = parseHttpDate(request.headers.get('If-Modified-Since'));
+        if (modifiedSince !== null && modifiedAt !== null && modifiedAt <= modifiedSince) {
+            return 304;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Answers a conditional request if its preconditions say so
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} validators - { etag, lastModified }, see evaluatePreconditions
+ * @param {HeadersInit} headers - Headers the full response would carry (a 304 keeps its
+ *   validators, caching and CORS headers)
+ * @returns {Response|null} - 304 or 412 response, or null to send the full response
+ */
+export function getConditionalResponse(request, validators, headers) {
+    const status = evaluatePreconditions(request, validators);
+    if (status === null) {
+        return null;
+    }
+
+    if (status === 412) {
+        return new Response(null, { status: 412, statusText: 'Precondition Failed' });
+    }
+
+    const notModifiedHeaders = new Headers();
+    for (const [name, value] of new Headers(headers)) {
+        if (NOT_MODIFIED_HEADERS.includes(name) || name.startsWith('access-control-')) {
+            notModifiedHeaders.set(name, value);
+        }
+    }
+    return new Response(null, { status: 304, statusText: 'Not Modified', headers: notModifiedHeaders });
+}
+
+/**
+ * Formats a date as an HTTP-date (IMF-fixdate) for Last-Modified
+ *
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+export function formatHttpDate(date) {
+    return new Date(date).toUTCString();
+}
+
+/**
+ * Strong comparison: both tags strong and identical; weak comparison: opaque parts identical
+ * "*" matches any current representation
+ */
+function matchesAny(tags, current, strong) {
+    if (tags === '*') {
+        return true;
+    }
+    if (!current) {
+        return false;
+    }
+    return tags.some(tag => tag.opaque === current.opaque && (!strong || (!tag.weak && !current.weak)));
+}
+
+/**
+ * Parses an HTTP-date header to whole seconds (null if absent or invalid)
+ */
+function parseHttpDate(value) {
+    if (!value) {
+        return null;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function toSeconds(date) {
+    if (date == null) {
+        return null;
+    }
+    const time = new Date(date).getTime();
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
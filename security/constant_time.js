@@ -0,0 +1,29 @@
+/**
+ * Constant-time comparison of secrets
+ *
+ * Both values are hashed first, so the comparison always covers 32 bytes and its
+ * duration reveals neither how many leading characters matched nor the secret's length.
+ */
+
+/**
+ * Compares two strings in constant time
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {Promise<boolean>} - True if the strings are equal
+ */
+export async function constantTimeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const [digestA, digestB] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(a)),
+        crypto.subtle.digest('SHA-256', encoder.encode(b)),
+    ]);
+
+    const bytesA = new Uint8Array(digestA);
+    const bytesB = new Uint8Array(digestB);
+    let difference = 0;
+    for (let i = 0; i < bytesA.length; i++) {
+        difference |= bytesA[i] ^ bytesB[i];
+    }
+    return difference === 0;
+}
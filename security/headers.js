@@ -13,45 +13,33 @@
  * - 11.7: Strict-Transport-Security header with max-age of at least 31536000 seconds
  */
 
+/**
+ * Security header profiles (chosen per route in config/routes.js)
+ * - html: pages that run inline scripts and AdSense
+ * - api: JSON/text responses that never render, so nothing may load or frame them
+ */
+export const SECURITY_HEADER_PROFILES = {
+  HTML: 'html',
+  API: 'api',
+};
+
 /**
  * Adds security headers to a response
  * 
  * @param {Response} response - The response to add headers to
+ * @param {string} [profile] - Profile from SECURITY_HEADER_PROFILES (defaults to html)
  * @returns {Response} - Response with security headers added
  */
-export function addSecurityHeaders(response) {
+export function addSecurityHeaders(response, profile = SECURITY_HEADER_PROFILES.HTML) {
   // Create a new Headers object from the existing response headers
   const headers = new Headers(response.headers);
 
-  // Content-Security-Policy (Requirement 11.1, 11.2)
-  // Restricts script sources to prevent XSS attacks
-  // Allows scripts from:
-  // - 'self': Same origin
-  // - 'unsafe-inline': Inline scripts (required for AdSense and client-side loading)
-  // - pagead2.googlesyndication.com: Google AdSense
-  // Allows connections to:
-  // - 'self': Same origin
-  // - pagead2.googlesyndication.com: Google AdSense
-  // - unitune-api.onrender.com: UniTune API (hosted in Frankfurt, EU)
-  headers.set('Content-Security-Policy',
-    "default-src 'self'; " +
-    "script-src 'self' 'unsafe-inline' " +
-      "pagead2.googlesyndication.com " +
-      "tpc.googlesyndication.com " +
-      "googletagservices.com " +
-      "www.googletagmanager.com; " +
-    "frame-src " +
-      "googleads.g.doubleclick.net " +
-      "tpc.googlesyndication.com; " +
-    "style-src 'self' 'unsafe-inline'; " +
-    "img-src 'self' data: https:; " +
-    "connect-src 'self' " +
-      "https://pagead2.googlesyndication.com " +
-      "https://googleads.g.doubleclick.net " +
-      "https://adservice.google.com " +
-      "https://www.google.com " +
-      "https://api.unitune.art;"
-  );
+  if (profile === SECURITY_HEADER_PROFILES.API) {
+    // Nothing in an API response is ever rendered as a document
+    headers.set('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+  } else {
+    setPageContentSecurityPolicy(headers);
+  }
 
   // X-Frame-Options (Requirement 11.3)
   // Prevents the page from being embedded in iframes to prevent clickjacking
@@ -85,3 +73,38 @@ export function addSecurityHeaders(response) {
     headers: headers,
   });
 }
+
+/**
+ * Content-Security-Policy for HTML pages
+ */
+function setPageContentSecurityPolicy(headers) {
+  // Content-Security-Policy (Requirement 11.1, 11.2)
+  // Restricts script sources to prevent XSS attacks
+  // Allows scripts from:
+  // - 'self': Same origin
+  // - 'unsafe-inline': Inline scripts (required for AdSense and client-side loading)
+  // - pagead2.googlesyndication.com: Google AdSense
+  // Allows connections to:
+  // - 'self': Same origin
+  // - pagead2.googlesyndication.com: Google AdSense
+  // - unitune-api.onrender.com: UniTune API (hosted in Frankfurt, EU)
+  headers.set('Content-Security-Policy',
+    "default-src 'self'; " +
+    "script-src 'self' 'unsafe-inline' " +
+      "pagead2.googlesyndication.com " +
+      "tpc.googlesyndication.com " +
+      "googletagservices.com " +
+      "www.googletagmanager.com; " +
+    "frame-src " +
+      "googleads.g.doubleclick.net " +
+      "tpc.googlesyndication.com; " +
+    "style-src 'self' 'unsafe-inline'; " +
+    "img-src 'self' data: https:; " +
+    "connect-src 'self' " +
+      "https://pagead2.googlesyndication.com " +
+      "https://googleads.g.doubleclick.net " +
+      "https://adservice.google.com " +
+      "https://www.google.com " +
+      "https://api.unitune.art;"
+  );
+}
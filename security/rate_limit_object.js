@@ -0,0 +1,97 @@
+import { takeToken, getStateTtl, generateSecret } from './rate_limiter.js';
+
+/**
+ * Rate Limit Counter (Durable Object)
+ *
+ * Holds the token bucket of one client for one policy (named `${policy}:${clientKey}` by
+ * RateLimiter.checkDurableObject). A Durable Object processes one event at a time and
+ * holds new events while its storage calls are pending, so the refill-and-take step is
+ * atomic: concurrent requests from the same IP each see the bucket the previous one left.
+ *
+ * The bucket is kept in memory and written to storage on every request, so it survives
+ * the object being evicted. An alarm deletes it once it would have refilled completely.
+ *
+ * Protocol: POST { maxTokens, refillRate } -> { allowed, retryAfter?, remaining, reset }
+ *
+ * The object named 'rate-limit-secret' holds no bucket; it generates the client key secret
+ * on its first request and keeps it (see getRateLimitSecret): GET /secret -> { secret }
+ *
+ * Bound as RATE_LIMITER in wrangler.toml and exported from worker.js.
+ */
+export class RateLimitCounter {
+    /**
+     * @param {DurableObjectState} state
+     * @param {Object} env
+     */
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.bucket = undefined; // undefined: not loaded from storage yet
+    }
+
+    /**
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        if (request.method === 'GET' && new URL(request.url).pathname === '/secret') {
+            return this.getSecret();
+        }
+
+        if (request.method !== 'POST') {
+            return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'POST' } });
+        }
+
+        let policy;
+        try {
+            policy = await request.json();
+        } catch {
+            policy = null;
+        }
+        if (!(policy?.maxTokens > 0) || !(policy?.refillRate > 0)) {
+            return new Response('Invalid policy', { status: 400 });
+        }
+
+        if (this.bucket === undefined) {
+            this.bucket = (await this.state.storage.get('bucket')) || null;
+        }
+
+        const now = Date.now();
+        const { state, ...result } = takeToken(this.bucket, policy, now);
+        this.bucket = state;
+
+        // Not awaited: the output gate holds the response until both writes are durable
+        this.state.storage.put('bucket', state);
+        this.state.storage.setAlarm(now + getStateTtl(policy) * 1000);
+
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    /**
+     * Stored secret, generated on first use; concurrent requests wait for the first one
+     * (the input gate holds them while storage calls are pending)
+     *
+     * @returns {Promise<Response>}
+     */
+    async getSecret() {
+        let secret = await this.state.storage.get('secret');
+        if (!secret) {
+            secret = generateSecret();
+            await this.state.storage.put('secret', secret);
+        }
+
+        return new Response(JSON.stringify({ secret }), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    /**
+     * Idle long enough for the bucket to be full again: nothing worth keeping
+     */
+    async alarm() {
+        this.bucket = null;
+        await this.state.storage.deleteAll();
+    }
+}
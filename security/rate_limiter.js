@@ -2,154 +2,518 @@
  * Rate Limiter using Token Bucket Algorithm
  * 
  * Implements rate limiting to prevent abuse and excessive API usage.
- * Uses Cloudflare KV for distributed state storage.
+ * Uses a Durable Object for atomic per-client state, with Cloudflare KV as fallback.
  * 
  * Configuration:
- * - Max requests: 60 per minute
- * - Bucket size: 60 tokens
- * - Refill rate: 1 token per second
- * - Storage: Cloudflare KV (key: `ratelimit:${ip}`, TTL: 60 seconds)
+ * - Named policies (RATE_LIMIT_POLICIES), chosen per route in config/routes.js
+ * - Each policy has its own bucket size, refill rate and bucket per IP,
+ *   so page views don't use up a client's API budget and vice versa
+ * - Storage: RateLimitCounter Durable Object (name: `${policy}:${clientKey}`), or Cloudflare KV
+ *   (key: `ratelimit:${policy}:${clientKey}`); state expires once the bucket would be full again
+ * - Client keys are an HMAC of the IP (IPv6: its /64) with a salt that rotates daily,
+ *   so no IP address is ever stored (getRateLimitKey); the secret is RATE_LIMIT_SECRET or
+ *   one generated per deployment (getRateLimitSecret)
+ * - Allowlisted IPs/ASNs (RATE_LIMIT_ALLOWLIST_IPS / _ASNS) are never limited
  * 
  * Requirements: 6.1, 6.2, 6.3
  */
 
-const MAX_TOKENS = 60;           // Maximum tokens in bucket
-const REFILL_RATE = 1;            // Tokens added per second
-const WINDOW_SIZE = 60;           // Time window in seconds
+/**
+ * Rate limit policies
+ * maxTokens: bucket size (burst), refillRate: tokens added per second,
+ * format: body of 429 responses (html page or json) when Accept has no preference
+ */
+export const RATE_LIMIT_POLICIES = {
+    // Page views: /, /s/, /p/ (60 burst, 60 per minute)
+    PAGES: {
+        name: 'pages',
+        maxTokens: 60,
+        refillRate: 1,
+        format: 'html',
+    },
+
+    // /api/song: proxies any URL to the paid upstream API (30 burst, 30 per minute)
+    // Share pages only call it to refresh stale metadata, so real visitors stay far below this
+    SONG_LOOKUP: {
+        name: 'song',
+        maxTokens: 30,
+        refillRate: 0.5,
+        format: 'json',
+    },
+
+    // Other public API endpoints: encode, donations, version (60 burst, 60 per minute)
+    API: {
+        name: 'api',
+        maxTokens: 60,
+        refillRate: 1,
+        format: 'json',
+    },
+};
+
+// KV's minimum expirationTtl
+const MIN_STATE_TTL = 60;
+
+// Hex characters kept from the HMAC (128 bits)
+const CLIENT_KEY_LENGTH = 32;
+
+// Salt of the current day, derived from the secret (per isolate)
+let dailySalt = null;
+
+// Where the generated secret is kept while RATE_LIMIT_SECRET isn't set (see getRateLimitSecret)
+const SECRET_OBJECT_NAME = 'rate-limit-secret';
+const SECRET_KV_KEY = 'ratelimit:secret';
+
+// Generated secret and the store it came from (per isolate)
+let generatedSecret = null;
 
 /**
  * Rate limiter class using token bucket algorithm
+ *
+ * Buckets live in the RateLimitCounter Durable Object (security/rate_limit_object.js)
+ * when the RATE_LIMITER binding exists: one object per policy and IP, which handles
+ * its requests one at a time, so concurrent requests can't all see a full bucket.
+ * Without the binding, or if the object can't be reached, buckets are kept in KV
+ * (read-modify-write, so bursts from one IP can briefly get through).
  */
 export class RateLimiter {
     /**
      * Checks if a request should be allowed and updates the rate limit state
      * 
-     * @param {string} clientIp - The client's IP address
+     * @param {string} clientKey - Client key from getRateLimitKey (never the raw IP)
+     * @param {Object} stores
+     * @param {DurableObjectNamespace} [stores.durableObject] - RATE_LIMITER binding (preferred)
+     * @param {KVNamespace} [stores.kv] - Cloudflare KV namespace for storage (fallback)
+     * @param {Object} [policy] - Entry from RATE_LIMIT_POLICIES (defaults to PAGES)
+     * @returns {Promise<{allowed: boolean, retryAfter?: number, remaining?: number, reset?: number}>}
+     */
+    async checkLimit(clientKey, { durableObject, kv }, policy = RATE_LIMIT_POLICIES.PAGES) {
+        if (!clientKey) {
+            // If no client key available, allow the request (fail open)
+            return { allowed: true };
+        }
+
+        if (durableObject) {
+            try {
+                return await this.checkDurableObject(clientKey, durableObject, policy);
+            } catch {
+                // Object unavailable (e.g. overloaded or being deployed): use KV for this request
+            }
+        }
+
+        return this.checkKv(clientKey, kv, policy);
+    }
+
+    /**
+     * Takes a token from the client's bucket in its RateLimitCounter object
+     * 
+     * @param {string} clientKey - Client key from getRateLimitKey
+     * @param {DurableObjectNamespace} namespace - RATE_LIMITER binding
+     * @param {Object} policy - Entry from RATE_LIMIT_POLICIES
+     * @returns {Promise<{allowed: boolean, retryAfter?: number, remaining?: number, reset?: number}>}
+     */
+    async checkDurableObject(clientKey, namespace, policy) {
+        const stub = namespace.get(namespace.idFromName(`${policy.name}:${clientKey}`));
+        const response = await stub.fetch('https://rate-limiter/take', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ maxTokens: policy.maxTokens, refillRate: policy.refillRate }),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Rate limit object returned ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Takes a token from the client's bucket in KV
+     * 
+     * @param {string} clientKey - Client key from getRateLimitKey
      * @param {KVNamespace} kv - Cloudflare KV namespace for storage
-     * @returns {Promise<{allowed: boolean, retryAfter?: number}>}
+     * @param {Object} policy - Entry from RATE_LIMIT_POLICIES
+     * @returns {Promise<{allowed: boolean, retryAfter?: number, remaining?: number, reset?: number}>}
      */
-    async checkLimit(clientIp, kv) {
-        if (!clientIp || !kv) {
-            // If no IP or KV available, allow the request (fail open)
+    async checkKv(clientKey, kv, policy) {
+        if (!kv) {
+            // If no KV available, allow the request (fail open)
             return { allowed: true };
         }
 
-        const key = `ratelimit:${clientIp}`;
-        const now = Date.now();
+        const key = `ratelimit:${policy.name}:${clientKey}`;
 
         try {
             // Get current state from KV
             const stateJson = await kv.get(key);
-            let state;
-
-            if (stateJson) {
-                state = JSON.parse(stateJson);
-            } else {
-                // First request from this IP - initialize with full bucket
-                state = {
-                    tokens: MAX_TOKENS,
-                    lastRefill: now,
-                    requestCount: 0
-                };
-            }
-
-            // Calculate tokens to add based on time elapsed
-            const timeSinceLastRefill = (now - state.lastRefill) / 1000; // Convert to seconds
-            const tokensToAdd = Math.floor(timeSinceLastRefill * REFILL_RATE);
+            const { state, ...result } = takeToken(stateJson ? JSON.parse(stateJson) : null, policy, Date.now());
 
-            // Refill tokens (up to max)
-            if (tokensToAdd > 0) {
-                state.tokens = Math.min(MAX_TOKENS, state.tokens + tokensToAdd);
-                state.lastRefill = now;
-            }
+            // Save updated state to KV with TTL
+            await kv.put(key, JSON.stringify(state), {
+                expirationTtl: getStateTtl(policy)
+            });
 
-            // Check if we have tokens available
-            if (state.tokens >= 1) {
-                // Allow request and consume one token
-                state.tokens -= 1;
-                state.requestCount += 1;
-
-                // Save updated state to KV with TTL
-                await kv.put(key, JSON.stringify(state), {
-                    expirationTtl: WINDOW_SIZE * 2 // Keep state for 2 minutes
-                });
-
-                return { allowed: true };
-            } else {
-                // Rate limit exceeded - calculate retry after time
-                const tokensNeeded = 1;
-                const secondsUntilToken = tokensNeeded / REFILL_RATE;
-                const retryAfter = Math.ceil(secondsUntilToken);
-
-                // Save state (don't increment request count for rejected requests)
-                await kv.put(key, JSON.stringify(state), {
-                    expirationTtl: WINDOW_SIZE * 2
-                });
-
-                return {
-                    allowed: false,
-                    retryAfter: retryAfter
-                };
-            }
+            return result;
         } catch (error) {
             // If KV fails, fail open (allow request) to prevent service disruption
             // In production, you might want to log this error
             return { allowed: true };
         }
     }
+}
 
-    /**
-     * Records a request for rate limiting (legacy method for compatibility)
-     * This is now handled by checkLimit, but kept for API compatibility
-     * 
-     * @param {string} clientIp - The client's IP address
-     * @param {KVNamespace} kv - Cloudflare KV namespace for storage
-     */
-    async recordRequest(clientIp, kv) {
-        // This method is now a no-op since checkLimit handles both checking and recording
-        // Kept for backward compatibility
-        return;
+/**
+ * Token bucket step shared by the Durable Object and KV stores
+ * Refills the bucket for the time elapsed, then takes one token if there is one
+ * 
+ * @param {Object|null} state - Stored bucket ({tokens, lastRefill}), null for a new client
+ * @param {Object} policy - { maxTokens, refillRate }
+ * @param {number} now - Current time in milliseconds
+ * @returns {{allowed: boolean, retryAfter?: number, remaining: number, reset: number, state: Object}}
+ *   - Decision, quota left, seconds until it resets (see getRateLimitHeaders) and the bucket to store
+ */
+export function takeToken(state, { maxTokens, refillRate }, now) {
+    // First request from this IP - initialize with full bucket
+    // (only these two fields: buckets stored by the old KV-only limiter also had a requestCount)
+    const bucket = state
+        ? { tokens: state.tokens, lastRefill: state.lastRefill }
+        : { tokens: maxTokens, lastRefill: now };
+
+    // Calculate tokens to add based on time elapsed
+    const timeSinceLastRefill = (now - bucket.lastRefill) / 1000; // Convert to seconds
+    const tokensToAdd = Math.floor(timeSinceLastRefill * refillRate);
+
+    // Refill tokens (up to max)
+    // lastRefill only advances by the time the added tokens took, so slow refill
+    // rates still accrue between closely spaced requests
+    if (tokensToAdd > 0) {
+        bucket.tokens = Math.min(maxTokens, bucket.tokens + tokensToAdd);
+        bucket.lastRefill = bucket.tokens === maxTokens
+            ? now
+            : bucket.lastRefill + (tokensToAdd / refillRate) * 1000;
+    }
+
+    const secondsSinceRefill = (now - bucket.lastRefill) / 1000;
+
+    // Check if we have tokens available
+    if (bucket.tokens >= 1) {
+        // Allow request and consume one token
+        bucket.tokens -= 1;
+
+        // Reset: seconds until the bucket is full again
+        const secondsUntilFull = (maxTokens - bucket.tokens) / refillRate - secondsSinceRefill;
+        return {
+            allowed: true,
+            remaining: Math.floor(bucket.tokens),
+            reset: Math.max(0, Math.ceil(secondsUntilFull)),
+            state: bucket,
+        };
     }
+
+    // Rate limit exceeded - calculate retry after time
+    const secondsUntilToken = 1 / refillRate - secondsSinceRefill;
+    const retryAfter = Math.max(1, Math.ceil(secondsUntilToken));
+    return {
+        allowed: false,
+        retryAfter,
+        remaining: 0,
+        reset: retryAfter,
+        state: bucket,
+    };
+}
+
+/**
+ * How long bucket state is kept: long enough for an idle bucket to refill completely
+ * 
+ * @param {Object} policy - { maxTokens, refillRate }
+ * @returns {number} - Seconds
+ */
+export function getStateTtl({ maxTokens, refillRate }) {
+    return Math.max(MIN_STATE_TTL, Math.ceil(maxTokens / refillRate));
 }
 
 /**
  * Helper function to get client IP from request
- * Handles various proxy headers and Cloudflare-specific headers
+ * In production only CF-Connecting-IP is trusted: Cloudflare sets it from the connection,
+ * while X-Forwarded-For / X-Real-IP are whatever the client sends
  * 
  * @param {Request} request - The incoming request
+ * @param {Object} config - Worker configuration (isProduction)
  * @returns {string} - The client's IP address
  */
-export function getClientIp(request) {
+export function getClientIp(request, config) {
     // Try Cloudflare-specific header first
     const cfConnectingIp = request.headers.get('CF-Connecting-IP');
     if (cfConnectingIp) {
         return cfConnectingIp;
     }
 
-    // Try standard proxy headers
-    const xForwardedFor = request.headers.get('X-Forwarded-For');
-    if (xForwardedFor) {
-        // X-Forwarded-For can contain multiple IPs, take the first one
-        return xForwardedFor.split(',')[0].trim();
-    }
+    if (!config.isProduction) {
+        // Local development and staging proxies: standard proxy headers
+        const xForwardedFor = request.headers.get('X-Forwarded-For');
+        if (xForwardedFor) {
+            // X-Forwarded-For can contain multiple IPs, take the first one
+            return xForwardedFor.split(',')[0].trim();
+        }
 
-    const xRealIp = request.headers.get('X-Real-IP');
-    if (xRealIp) {
-        return xRealIp;
+        const xRealIp = request.headers.get('X-Real-IP');
+        if (xRealIp) {
+            return xRealIp;
+        }
     }
 
     // Fallback to 'unknown' if no IP found
     return 'unknown';
 }
 
+/**
+ * Derives the rate limit key for a client
+ * HMAC-SHA256 of the address with a salt derived from the secret and the current UTC day,
+ * so keys can't be reversed without the secret and can't be linked across days.
+ * IPv6 addresses are reduced to their /64 first (one subscriber usually gets a whole /64,
+ * so rotating within it must not reset the bucket). Buckets start over at midnight UTC.
+ * 
+ * @param {string} clientIp - From getClientIp
+ * @param {string} secret - From getRateLimitSecret
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<string>} - Hex key
+ * @throws {Error} - Without a secret
+ */
+export async function getRateLimitKey(clientIp, secret, now = Date.now()) {
+    if (!secret) {
+        // Never fall back to a known key: the IPv4 space is small enough to reverse the HMAC
+        throw new Error('A rate limit secret is required');
+    }
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (!dailySalt || dailySalt.day !== day || dailySalt.secret !== secret) {
+        const salt = await hmac(new TextEncoder().encode(secret), `ratelimit-salt:${day}`);
+        dailySalt = { day, secret, salt };
+    }
+
+    const mac = await hmac(dailySalt.salt, getAddressBucket(clientIp));
+    return Array.from(new Uint8Array(mac))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('')
+        .substring(0, CLIENT_KEY_LENGTH);
+}
+
+/**
+ * Secret for getRateLimitKey: RATE_LIMIT_SECRET, or without it (production deploys that never
+ * set it) a random secret generated once and kept in the RateLimitCounter object named
+ * SECRET_OBJECT_NAME, or in KV when the Durable Object isn't bound. It is never a known
+ * value, so limiting stays on and the keys can't be reversed.
+ *
+ * @param {Object} config - Worker configuration (rateLimitSecret)
+ * @param {Object} stores - Same as for RateLimiter.checkLimit
+ * @returns {Promise<string|null>} - Null if neither store can be reached
+ */
+export async function getRateLimitSecret(config, { durableObject, kv }) {
+    if (config.rateLimitSecret) {
+        return config.rateLimitSecret;
+    }
+
+    const store = durableObject || kv;
+    if (generatedSecret?.store === store) {
+        return generatedSecret.secret;
+    }
+
+    if (durableObject) {
+        try {
+            const stub = durableObject.get(durableObject.idFromName(SECRET_OBJECT_NAME));
+            const response = await stub.fetch('https://rate-limiter/secret');
+            if (!response.ok) {
+                throw new Error(`Rate limit object returned ${response.status}`);
+            }
+            const { secret } = await response.json();
+            generatedSecret = { store, secret };
+            return secret;
+        } catch {
+            // Object unavailable: use the KV secret for this request, like checkLimit
+        }
+    }
+
+    if (!kv) {
+        return null;
+    }
+
+    try {
+        let secret = await kv.get(SECRET_KV_KEY);
+        if (!secret) {
+            // Isolates racing here may briefly use different secrets; the last write wins
+            secret = generateSecret();
+            await kv.put(SECRET_KV_KEY, secret);
+        }
+        if (store === kv) {
+            generatedSecret = { store, secret };
+        }
+        return secret;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 256 random bits as hex
+ *
+ * @returns {string}
+ */
+export function generateSecret() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(32)))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * The part of an address that identifies a subscriber:
+ * IPv4 as is, IPv4-mapped IPv6 as IPv4, other IPv6 as its /64 prefix
+ * 
+ * @param {string} ip
+ * @returns {string}
+ */
+export function getAddressBucket(ip) {
+    if (!ip.includes(':')) {
+        return ip;
+    }
+
+    const address = ip.toLowerCase().split('%')[0]; // drop zone index
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+        return mapped[1];
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    // An embedded IPv4 address at the end takes two groups
+    const tailLength = tailGroups.reduce((length, group) => length + (group.includes('.') ? 2 : 1), 0);
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailLength)).fill('0'), ...tailGroups];
+
+    const prefix = groups.slice(0, 4).map(group => parseInt(group, 16));
+    if (prefix.length < 4 || prefix.some(group => Number.isNaN(group) || group > 0xffff)) {
+        return address;
+    }
+    return `${prefix.map(group => group.toString(16)).join(':')}::/64`;
+}
+
+async function hmac(keyBytes, message) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+}
+
+/**
+ * Checks whether a client is exempt from rate limiting (our own monitoring)
+ * 
+ * @param {Request} request - The incoming request
+ * @param {Object} config - Worker configuration (rateLimitAllowlistIps, rateLimitAllowlistAsns, isProduction)
+ * @returns {boolean}
+ */
+export function isRateLimitExempt(request, config) {
+    if (config.rateLimitAllowlistIps.includes(getClientIp(request, config))) {
+        return true;
+    }
+
+    // request.cf.asn: ASN of the connecting client, set by Cloudflare
+    const asn = request.cf?.asn;
+    return asn != null && config.rateLimitAllowlistAsns.includes(asn);
+}
+
+/**
+ * IETF RateLimit-Policy / RateLimit headers (draft-ietf-httpapi-ratelimit-headers)
+ * RateLimit-Policy: "pages";q=60;w=60  - quota and the window (seconds) it refills over
+ * RateLimit: "pages";r=42;t=18         - quota remaining and seconds until it resets
+ * (t is the time until a request is allowed again once r reaches 0)
+ * 
+ * @param {Object} result - From RateLimiter.checkLimit
+ * @param {Object} policy - Entry from RATE_LIMIT_POLICIES
+ * @returns {Object} - Headers, empty if the limiter failed open and has no quota to report
+ */
+export function getRateLimitHeaders(result, policy) {
+    if (result.remaining === undefined) {
+        return {};
+    }
+
+    return {
+        'RateLimit-Policy': `"${policy.name}";q=${policy.maxTokens};w=${Math.ceil(policy.maxTokens / policy.refillRate)}`,
+        'RateLimit': `"${policy.name}";r=${result.remaining};t=${result.reset}`,
+    };
+}
+
 /**
  * Creates a rate limit exceeded response (HTTP 429)
+ * The body is an HTML page or JSON, whichever the Accept header prefers
+ * (policy.format when it has no preference)
  * 
- * @param {number} retryAfter - Seconds until the client can retry
- * @returns {Response} - HTTP 429 response with Retry-After header
+ * @param {Request} request - The incoming request
+ * @param {Object} result - Rejected result from RateLimiter.checkLimit
+ * @param {Object} policy - Entry from RATE_LIMIT_POLICIES
+ * @returns {Response} - HTTP 429 response with Retry-After and RateLimit headers
+ */
+export function createRateLimitResponse(request, result, policy) {
+    const retryAfter = result.retryAfter || 60;
+    const headers = {
+        'Retry-After': retryAfter.toString(),
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Vary': 'Accept',
+        ...getRateLimitHeaders(result, policy)
+    };
+
+    if (getPreferredFormat(request.headers.get('Accept'), policy.format) === 'json') {
+        return new Response(JSON.stringify({
+            error: 'Too many requests',
+            retryAfter,
+        }), {
+            status: 429,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        });
+    }
+
+    return new Response(getRateLimitPage(retryAfter, policy), {
+        status: 429,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers }
+    });
+}
+
+/**
+ * 'json' or 'html' by Accept quality values (ties and missing header: fallback)
  */
-export function createRateLimitResponse(retryAfter) {
-    const html = `<!DOCTYPE html>
+function getPreferredFormat(accept, fallback) {
+    if (!accept) {
+        return fallback;
+    }
+
+    const json = getAcceptQuality(accept, 'application/json');
+    const html = getAcceptQuality(accept, 'text/html');
+    if (json === html) {
+        return fallback;
+    }
+    return json > html ? 'json' : 'html';
+}
+
+/**
+ * Quality value the Accept header gives a media type (most specific range wins)
+ */
+function getAcceptQuality(accept, mediaType) {
+    const [type] = mediaType.split('/');
+    let best = { specificity: -1, quality: 0 };
+
+    for (const range of accept.split(',')) {
+        const [name, ...params] = range.trim().toLowerCase().split(';');
+        const specificity = name === mediaType ? 2 : name === `${type}/*` ? 1 : name === '*/*' ? 0 : -1;
+        if (specificity > best.specificity) {
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            const quality = qParam ? parseFloat(qParam.substring(2)) : 1;
+            best = { specificity, quality: Number.isNaN(quality) ? 0 : quality };
+        }
+    }
+
+    return best.quality;
+}
+
+function getRateLimitPage(retryAfter, policy) {
+    const perMinute = Math.round(policy.refillRate * 60);
+
+    return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
@@ -224,26 +588,31 @@ export function createRateLimitResponse(retryAfter) {
         <h1>Too Many Requests</h1>
         <p>You've exceeded the rate limit. Please wait a moment before trying again.</p>
         <div class="retry-info">
-            <div class="retry-time">${retryAfter}s</div>
-            <div class="retry-label">Retry After</div>
+            <div class="retry-time" id="retry-time">${retryAfter}s</div>
+            <div class="retry-label" id="retry-label">Retry After</div>
         </div>
         <p style="font-size: 14px; color: #718096;">
-            We limit requests to 60 per minute to ensure fair usage for everyone.
+            We limit these requests to ${perMinute} per minute (bursts of up to ${policy.maxTokens}) to ensure fair usage for everyone.
         </p>
         <a href="/" class="back-link">← Back to Home</a>
     </div>
+    <script>
+        // Count down to the moment the limit allows another request (Retry-After)
+        (function () {
+            let secondsLeft = ${retryAfter};
+            const time = document.getElementById('retry-time');
+            const timer = setInterval(function () {
+                secondsLeft -= 1;
+                if (secondsLeft > 0) {
+                    time.textContent = secondsLeft + 's';
+                    return;
+                }
+                clearInterval(timer);
+                time.textContent = 'Now';
+                document.getElementById('retry-label').textContent = 'Reload to try again';
+            }, 1000);
+        })();
+    </script>
 </body>
 </html>`;
-
-    return new Response(html, {
-        status: 429,
-        headers: {
-            'Content-Type': 'text/html; charset=utf-8',
-            'Retry-After': retryAfter.toString(),
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'X-RateLimit-Limit': MAX_TOKENS.toString(),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': new Date(Date.now() + retryAfter * 1000).toISOString()
-        }
-    });
 }
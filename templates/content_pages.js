@@ -177,7 +177,7 @@ export function getFaqPage(adsensePublisherId) {
         
         <div class="faq-item">
             <h3>Which platforms are supported?</h3>
-            <p>UniTune supports Spotify, Apple Music, YouTube Music, TIDAL, Deezer, and Amazon Music.</p>
+            <p>UniTune supports Spotify, Apple Music, YouTube Music, TIDAL, Deezer, Amazon Music, SoundCloud, Bandcamp, Qobuz, Pandora, Audiomack, and Napster.</p>
         </div>
         
         <div class="faq-item">
@@ -82,6 +82,9 @@ export function getDonationsSidebar() {
             </div>
         </div>
         
+        <!-- One-off / monthly / shop totals, filled in by updateAllDonationUIs -->
+        <div class="donation-breakdown" id="donation-breakdown"></div>
+        
         <div class="recent-donations" id="recent-donations">
             <div class="recent-donations-title">Recent Supporters</div>
             <div id="donations-list">
@@ -153,6 +156,8 @@ export function getMobileVerticalDonationBar() {
                 </div>
             </div>
             
+            <div class="donation-breakdown" id="vertical-donation-breakdown"></div>
+            
             <div class="vertical-panel-donations" id="vertical-panel-donations">
                 <div class="vertical-donations-title">Recent Supporters</div>
                 <div id="vertical-donations-list">
@@ -578,6 +583,24 @@ export function getDonationsStyles() {
         color: var(--text-muted);
     }
     
+    .donation-breakdown {
+        display: flex;
+        gap: 16px;
+        margin-top: 12px;
+        font-size: 12px;
+        color: var(--text-muted);
+    }
+    
+    .donation-breakdown:empty {
+        display: none;
+    }
+    
+    .donation-breakdown-value {
+        display: block;
+        color: var(--text-primary);
+        font-weight: 600;
+    }
+    
     .recent-donations {
         margin: 20px 0;
         padding-top: 16px;
@@ -602,6 +625,7 @@ export function getDonationsStyles() {
     }
     
     .donation-name {
+        min-width: 0;
         color: var(--text-primary);
         font-weight: 500;
         flex: 1;
@@ -616,6 +640,15 @@ export function getDonationsStyles() {
         margin-left: 8px;
     }
     
+    .donation-kind {
+        display: block;
+        color: var(--text-muted);
+        font-size: 11px;
+        font-weight: 400;
+        overflow: hidden;
+        text-overflow: ellipsis;
+    }
+    
     .donate-button {
         width: 100%;
         padding: 12px;
@@ -884,6 +917,7 @@ export function getDonationsStyles() {
     }
     
     .vertical-donation-name {
+        min-width: 0;
         color: var(--text-primary);
         font-weight: 500;
         flex: 1;
@@ -941,12 +975,19 @@ export function getDonationsScript() {
     return `
     <script>
     // Donations Data Loading and UI Update
-    async function loadDonationsData() {
+    async function loadDonationsData(isRetry) {
         try {
             const response = await fetch('/api/donations');
             if (response.ok) {
                 const data = await response.json();
                 updateAllDonationUIs(data);
+            } else if (response.status === 429 && !isRetry) {
+                // Rate limited: try once more when the RateLimit header says the quota is back
+                const reset = /;\\s*t=(\\d+)/.exec(response.headers.get('RateLimit') || '');
+                const delay = parseInt(reset ? reset[1] : response.headers.get('Retry-After'), 10);
+                if (delay <= 60) {
+                    setTimeout(() => loadDonationsData(true), delay * 1000);
+                }
             }
         } catch (error) {
             console.error('Failed to load donations:', error);
@@ -979,13 +1020,18 @@ export function getDonationsScript() {
         updateElement('vertical-panel-progress-fill', el => el.style.width = percentage + '%');
         updateElement('vertical-panel-amount', el => el.textContent = current.toFixed(2) + '€');
         
+        // Update breakdown (one-off / monthly / shop)
+        const breakdownHTML = getBreakdownHTML(data.breakdown);
+        updateElement('donation-breakdown', el => el.innerHTML = breakdownHTML);
+        updateElement('vertical-donation-breakdown', el => el.innerHTML = breakdownHTML);
+        
         // Update donations lists
         if (data.donations && data.donations.length > 0) {
             const donationsHTML = data.donations
                 .slice(0, 5)
                 .map(d => \`
                     <div class="donation-item">
-                        <span class="donation-name">\${escapeHtml(d.name || 'Anonymous')}</span>
+                        <span class="donation-name">\${escapeHtml(d.name || 'Anonymous')}\${getKindHTML(d)}</span>
                         <span class="donation-amount">\${d.amount}€</span>
                     </div>
                 \`)
@@ -997,7 +1043,7 @@ export function getDonationsScript() {
                 .slice(0, 5)
                 .map(d => \`
                     <div class="vertical-donation-item">
-                        <span class="vertical-donation-name">\${escapeHtml(d.name || 'Anonymous')}</span>
+                        <span class="vertical-donation-name">\${escapeHtml(d.name || 'Anonymous')}\${getKindHTML(d)}</span>
                         <span class="vertical-donation-amount">\${d.amount}€</span>
                     </div>
                 \`)
@@ -1007,6 +1053,37 @@ export function getDonationsScript() {
         }
     }
     
+    const BREAKDOWN_LABELS = { oneOff: 'One-off', monthly: 'Monthly', shop: 'Shop' };
+    
+    // Tallies with an amount; nothing when only one-off donations exist (the total says it all)
+    function getBreakdownHTML(breakdown) {
+        if (!breakdown || !(breakdown.monthly > 0 || breakdown.shop > 0)) {
+            return '';
+        }
+        return Object.keys(BREAKDOWN_LABELS)
+            .filter(key => breakdown[key] > 0)
+            .map(key => \`
+                <span>\${BREAKDOWN_LABELS[key]}<span class="donation-breakdown-value">\${breakdown[key].toFixed(2)}€</span></span>
+            \`)
+            .join('');
+    }
+    
+    // Second line under the supporter name for anything but a one-off donation
+    function getKindHTML(d) {
+        let kind;
+        if (d.type === 'subscription') {
+            kind = d.firstPayment ? 'New monthly supporter' : 'Monthly';
+            if (d.tier) kind += ' · ' + d.tier;
+        } else if (d.type === 'shop') {
+            kind = 'Shop order';
+        } else if (d.type === 'commission') {
+            kind = 'Commission';
+        } else {
+            return '';
+        }
+        return '<span class="donation-kind">' + escapeHtml(kind) + '</span>';
+    }
+    
     function updateElement(id, callback) {
         const element = document.getElementById(id);
         if (element) callback(element);
@@ -1,9 +1,21 @@
 import { escapeHtml } from '../security/html_escaper.js';
 import { getCommonStyles } from './styles.js';
 
-export function getErrorPage(message) {
+/**
+ * Generic error page
+ *
+ * @param {string} message - User-facing message
+ * @param {Object} [options]
+ * @param {string} [options.linkUrl] - Optional way out shown above the home link (e.g. the original platform URL)
+ * @param {string} [options.linkLabel] - Label for linkUrl
+ * @returns {string} - HTML
+ */
+export function getErrorPage(message, { linkUrl = null, linkLabel = null } = {}) {
     // Escape error message to prevent XSS
     const escapedMessage = escapeHtml(message);
+    const extraLink = linkUrl
+        ? `<a href="${escapeHtml(linkUrl)}" class="primary-link" rel="noopener">${escapeHtml(linkLabel || linkUrl)}</a>`
+        : '';
 
     return `<!DOCTYPE html>
 <html>
@@ -52,12 +64,23 @@ export function getErrorPage(message) {
         .back-link:hover {
             opacity: 0.8;
         }
+        .primary-link {
+            display: block;
+            margin-bottom: 20px;
+            padding: 12px 20px;
+            border-radius: 12px;
+            background: var(--primary);
+            color: #fff;
+            text-decoration: none;
+            font-weight: 600;
+        }
     </style>
 </head>
 <body>
   <div class="error-container glass-card">
     <h1>Something went wrong</h1>
     <p>${escapedMessage}</p>
+    ${extraLink}
     <a href="/" class="back-link">← Back to Home</a>
   </div>
 </body>
@@ -614,6 +614,36 @@ export function getHomePage(adsensePublisherId) {
           <img src="/assets/logos/amazon_music.png" alt="Amazon Music" class="service-logo" loading="lazy">
           <div class="service-name">Amazon Music</div>
         </div>
+        
+        <div class="service-card">
+          <img src="/assets/logos/soundcloud.png" alt="SoundCloud" class="service-logo" loading="lazy">
+          <div class="service-name">SoundCloud</div>
+        </div>
+        
+        <div class="service-card">
+          <img src="/assets/logos/bandcamp.png" alt="Bandcamp" class="service-logo" loading="lazy">
+          <div class="service-name">Bandcamp</div>
+        </div>
+        
+        <div class="service-card">
+          <img src="/assets/logos/qobuz.svg" alt="Qobuz" class="service-logo" loading="lazy">
+          <div class="service-name">Qobuz</div>
+        </div>
+        
+        <div class="service-card">
+          <img src="/assets/logos/pandora.png" alt="Pandora" class="service-logo" loading="lazy">
+          <div class="service-name">Pandora</div>
+        </div>
+        
+        <div class="service-card">
+          <img src="/assets/logos/audiomack.png" alt="Audiomack" class="service-logo" loading="lazy">
+          <div class="service-name">Audiomack</div>
+        </div>
+        
+        <div class="service-card">
+          <img src="/assets/logos/napster.png" alt="Napster" class="service-logo" loading="lazy">
+          <div class="service-name">Napster</div>
+        </div>
       </div>
     </section>
     
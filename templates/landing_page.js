@@ -38,7 +38,7 @@ export function getLandingPage({ title, artist, thumbnail, links, musicUrl, adse
         const link = links[key]?.url;
         if (link) {
             serviceButtons += `
-            <a href="${link}" class="service-row">
+            <a href="${escapeHtml(link)}" class="service-row">
                 <div class="service-left">
                     <div class="service-icon">
                         <img src="${service.logo}" alt="${service.name}" width="24" height="24" loading="lazy">
@@ -0,0 +1,149 @@
+import { escapeHtml } from '../security/html_escaper.js';
+
+/**
+ * Loading skeleton and error fragment for streamed pages (/s/, /p/)
+ *
+ * The shell (head, styles, donation banner and skeleton) is flushed before the metadata
+ * lookup finishes. The skeleton hides itself through CSS as soon as the real content (or
+ * the error fragment) is appended after it, so no JavaScript is needed to swap them.
+ */
+
+/**
+ * Skeleton and stream error styles (included in the head of both page types)
+ */
+export function getSkeletonStyles() {
+    return `
+    /* Hidden once streamed content follows it */
+    .page-skeleton:not(:last-child) {
+        display: none;
+    }
+
+    .page-skeleton {
+        width: 100%;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        margin-top: 20px;
+    }
+
+    .skeleton-block {
+        background: linear-gradient(90deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.09) 50%, rgba(255,255,255,0.04) 100%);
+        background-size: 200% 100%;
+        animation: skeletonShimmer 1.4s ease-in-out infinite;
+        border-radius: 12px;
+    }
+
+    .skeleton-art {
+        width: clamp(180px, 50vw, 240px);
+        height: clamp(180px, 50vw, 240px);
+        border-radius: 24px;
+        margin-bottom: clamp(24px, 5vw, 32px);
+    }
+
+    .skeleton-line {
+        height: 20px;
+        width: 60%;
+        margin-bottom: 12px;
+    }
+
+    .skeleton-line.short {
+        width: 40%;
+        margin-bottom: 32px;
+    }
+
+    .skeleton-row {
+        width: 100%;
+        height: 56px;
+        margin-bottom: 10px;
+    }
+
+    @keyframes skeletonShimmer {
+        0% { background-position: 100% 0; }
+        100% { background-position: -100% 0; }
+    }
+
+    .stream-error {
+        width: 100%;
+        margin-top: 40px;
+        padding: 32px;
+        text-align: center;
+        animation: scaleIn 0.5s ease-out;
+    }
+
+    .stream-error h1 {
+        font-size: 22px;
+        font-weight: 700;
+        margin-bottom: 12px;
+    }
+
+    .stream-error p {
+        color: var(--text-secondary);
+        line-height: 1.5;
+        margin-bottom: 24px;
+    }
+
+    .stream-error a {
+        color: var(--primary);
+        font-weight: 600;
+        text-decoration: none;
+    }
+
+    .stream-error .primary-link {
+        display: block;
+        margin-bottom: 20px;
+        padding: 12px 20px;
+        border-radius: 12px;
+        background: var(--primary);
+        color: #fff;
+    }`;
+}
+
+/**
+ * Placeholder markup shown while the metadata is loading
+ *
+ * @param {number} [rows] - Number of placeholder rows below the title (service links or tracks)
+ * @returns {string} - HTML
+ */
+export function getPageSkeleton(rows = 4) {
+    return `
+    <div class="page-skeleton" aria-busy="true" aria-label="Loading">
+      <div class="skeleton-block skeleton-art"></div>
+      <div class="skeleton-block skeleton-line"></div>
+      <div class="skeleton-block skeleton-line short"></div>
+      ${'<div class="skeleton-block skeleton-row"></div>'.repeat(rows)}
+    </div>
+`;
+}
+
+/**
+ * Closing fragment for a streamed page whose content couldn't be loaded
+ * Replaces the skeleton with an error card and closes the document opened by the shell
+ *
+ * @param {string} message - User-facing message
+ * @param {Object} [options]
+ * @param {string} [options.linkUrl] - Optional way out (e.g. the original platform URL)
+ * @param {string} [options.linkLabel] - Label for linkUrl
+ * @returns {string} - HTML
+ */
+export function getStreamErrorFragment(message, { linkUrl = null, linkLabel = null } = {}) {
+    const extraLink = linkUrl
+        ? `<a href="${escapeHtml(linkUrl)}" class="primary-link" rel="noopener">${escapeHtml(linkLabel || linkUrl)}</a>`
+        : '';
+
+    return `
+    <div class="stream-error glass-card" role="alert">
+      <h1>Something went wrong</h1>
+      <p>${escapeHtml(message)}</p>
+      ${extraLink}
+      <a href="/">← Back to Home</a>
+    </div>
+
+    <div class="footer">
+      <a href="/">UniTune</a>
+      <span>•</span>
+      <a href="/privacy">Privacy</a>
+    </div>
+  </div>
+</body>
+</html>`;
+}
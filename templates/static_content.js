@@ -80,6 +80,7 @@ export function getPrivacyPolicy() {
       <p>We operate our own music link conversion API, hosted in Germany (EU). When you use our service:</p>
       <ul>
         <li>The music URL is processed by our API servers in the EU</li>
+        <li>If our API is unavailable, only the music URL is sent to the <a href="https://odesli.co/privacy" target="_blank" rel="noopener">Odesli (song.link) API</a> as a fallback</li>
         <li>No personal data is collected or stored</li>
         <li>Data is processed in compliance with GDPR</li>
       </ul>
@@ -251,6 +252,7 @@ export function getAppPrivacyPolicy() {
       <p>We operate our own music link conversion API, hosted in Germany (EU). When you use our service:</p>
       <ul>
         <li>The music URL is processed by our API servers in the EU</li>
+        <li>If our API is unavailable, only the music URL is sent to the <a href="https://odesli.co/privacy" target="_blank" rel="noopener">Odesli (song.link) API</a> as a fallback</li>
         <li>No personal data is collected or stored</li>
         <li>Data is processed in compliance with GDPR</li>
       </ul>
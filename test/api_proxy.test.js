@@ -0,0 +1,81 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleApiProxy } from '../handlers/api_proxy_handler.js';
+import { getConfig } from '../config/environment.js';
+import { createKvNamespace, createExecutionContext } from './helpers/bindings.js';
+
+const config = getConfig({
+    ENVIRONMENT: 'development',
+    UNITUNE_API_ENDPOINT: 'https://api.unitune.test/v1-alpha.1/links',
+    ODESLI_API_ENDPOINT: '',
+    UPSTREAM_MAX_RETRIES: '0',
+});
+
+let upstreamUrls;
+let originalFetch;
+
+beforeEach(() => {
+    upstreamUrls = [];
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+        upstreamUrls.push(String(url));
+        return new Response(JSON.stringify({ error: 'not found' }), { status: 404 });
+    };
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+async function lookup(musicUrl, env) {
+    const url = new URL('https://unitune.art/api/song');
+    url.searchParams.set('url', musicUrl);
+    const ctx = createExecutionContext();
+    const response = await handleApiProxy(new Request(url), url, config, env, ctx);
+    await ctx.drain();
+    return response;
+}
+
+test('unrecognized urls get a 400 without an upstream call or cache entry', async () => {
+    const env = { SONG_CACHE: createKvNamespace() };
+
+    for (const input of ['hello world', 'https://example.com/track/1', 'https://open.spotify.com/', 'javascript:alert(1)']) {
+        const response = await lookup(input, env);
+        assert.equal(response.status, 400, input);
+        assert.equal((await response.json()).error, 'Unsupported music URL');
+    }
+
+    assert.deepEqual(upstreamUrls, []);
+    assert.equal(env.SONG_CACHE.entries.size, 0);
+});
+
+test('recognized urls are looked up and cached by their canonical url', async () => {
+    const env = { SONG_CACHE: createKvNamespace() };
+
+    const response = await lookup('https://open.spotify.com/intl-de/track/4cOdK2wGLETKBW3PvgPWqT?si=abc123', env);
+    assert.equal(response.status, 404);
+
+    const canonical = 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT';
+    assert.equal(upstreamUrls.length, 1);
+    assert.equal(new URL(upstreamUrls[0]).searchParams.get('url'), canonical);
+    assert.deepEqual([...env.SONG_CACHE.entries.keys()], [`metadata:v2:${canonical}`]);
+});
+
+test('responses say whether they were served from a stale entry', async () => {
+    const canonical = 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT';
+    const payload = {
+        entityUniqueId: 'SPOTIFY_SONG::1',
+        entitiesByUniqueId: { 'SPOTIFY_SONG::1': { id: '1', type: 'song', title: 'Song', artistName: 'Artist' } },
+        linksByPlatform: { spotify: { url: canonical, entityUniqueId: 'SPOTIFY_SONG::1' } },
+    };
+    const entry = timestamp => JSON.stringify({ data: payload, timestamp });
+
+    const fresh = await lookup(canonical, { SONG_CACHE: createKvNamespace({ [`metadata:v2:${canonical}`]: entry(Date.now()) }) });
+    assert.equal((await fresh.json()).stale, false);
+
+    const staleTimestamp = Date.now() - (config.metadataCacheFreshSeconds + 60) * 1000;
+    const stale = await lookup(canonical, { SONG_CACHE: createKvNamespace({ [`metadata:v2:${canonical}`]: entry(staleTimestamp) }) });
+    const body = await stale.json();
+    assert.equal(body.stale, true);
+    assert.equal(body.display.title, 'Song');
+});
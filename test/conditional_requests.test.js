@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePreconditions, getConditionalResponse, parseEntityTags } from '../security/conditional_requests.js';
+
+const lastModified = 'Wed, 01 Jan 2025 12:00:00 GMT';
+const before = 'Tue, 31 Dec 2024 12:00:00 GMT';
+const after = 'Thu, 02 Jan 2025 12:00:00 GMT';
+
+function request(headers, method = 'GET') {
+    return new Request('https://unitune.art/api/donations', { method, headers });
+}
+
+test('entity tag lists, weak tags and * are parsed', () => {
+    assert.equal(parseEntityTags(null), null);
+    assert.equal(parseEntityTags(' * '), '*');
+    assert.deepEqual(parseEntityTags('"a", W/"b",  "c"'), [
+        { weak: false, opaque: '"a"' },
+        { weak: true, opaque: '"b"' },
+        { weak: false, opaque: '"c"' },
+    ]);
+});
+
+test('If-None-Match uses weak comparison', () => {
+    const strong = { etag: '"v1"' };
+    const weak = { etag: 'W/"v1"' };
+
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"v1"' }), strong), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': 'W/"v1"' }), strong), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"v1"' }), weak), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"v2"' }), strong), null);
+});
+
+test('If-None-Match matches any tag of a list, and * matches anything', () => {
+    const validators = { etag: '"v2"' };
+
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"v0", W/"v2", "v3"' }), validators), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"v0", "v3"' }), validators), null);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '*' }), validators), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '*' }, 'POST'), validators), 412);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"v2"' }, 'HEAD'), validators), 304);
+});
+
+test('If-Modified-Since is ignored when If-None-Match is present', () => {
+    const validators = { etag: '"v1"', lastModified };
+
+    assert.equal(evaluatePreconditions(request({ 'If-Modified-Since': lastModified }), validators), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-Modified-Since': after }), validators), 304);
+    assert.equal(evaluatePreconditions(request({ 'If-Modified-Since': before }), validators), null);
+    assert.equal(evaluatePreconditions(request({ 'If-None-Match': '"old"', 'If-Modified-Since': after }), validators), null);
+    assert.equal(evaluatePreconditions(request({ 'If-Modified-Since': 'not a date' }), validators), null);
+    assert.equal(evaluatePreconditions(request({ 'If-Modified-Since': after }, 'POST'), validators), null);
+});
+
+test('If-Match uses strong comparison and fails with 412', () => {
+    assert.equal(evaluatePreconditions(request({ 'If-Match': '"v1"' }), { etag: '"v1"' }), null);
+    assert.equal(evaluatePreconditions(request({ 'If-Match': '"v0", "v1"' }), { etag: '"v1"' }), null);
+    assert.equal(evaluatePreconditions(request({ 'If-Match': '*' }), { etag: '"v1"' }), null);
+    assert.equal(evaluatePreconditions(request({ 'If-Match': '"v2"' }), { etag: '"v1"' }), 412);
+    assert.equal(evaluatePreconditions(request({ 'If-Match': 'W/"v1"' }), { etag: '"v1"' }), 412);
+    assert.equal(evaluatePreconditions(request({ 'If-Match': '"v1"' }), { etag: 'W/"v1"' }), 412);
+});
+
+test('If-Unmodified-Since fails with 412 once modified, unless If-Match is present', () => {
+    const validators = { etag: '"v1"', lastModified };
+
+    assert.equal(evaluatePreconditions(request({ 'If-Unmodified-Since': before }), validators), 412);
+    assert.equal(evaluatePreconditions(request({ 'If-Unmodified-Since': lastModified }), validators), null);
+    assert.equal(evaluatePreconditions(request({ 'If-Unmodified-Since': before, 'If-Match': '"v1"' }), validators), null);
+});
+
+test('304 responses keep the validator, caching and CORS headers only', async () => {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': '42',
+        'Cache-Control': 'public, max-age=300',
+        'ETag': '"v1"',
+        'Last-Modified': lastModified,
+        'Vary': 'Accept-Encoding',
+        'Access-Control-Allow-Origin': '*',
+    };
+
+    const response = getConditionalResponse(request({ 'If-None-Match': '"v1"' }), { etag: '"v1"', lastModified }, headers);
+    assert.equal(response.status, 304);
+    assert.equal(await response.text(), '');
+    assert.deepEqual(Object.fromEntries(response.headers), {
+        'access-control-allow-origin': '*',
+        'cache-control': 'public, max-age=300',
+        'etag': '"v1"',
+        'last-modified': lastModified,
+        'vary': 'Accept-Encoding',
+    });
+
+    const failed = getConditionalResponse(request({ 'If-Match': '"v0"' }), { etag: '"v1"' }, headers);
+    assert.equal(failed.status, 412);
+    assert.equal(getConditionalResponse(request({}), { etag: '"v1"' }, headers), null);
+});
@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleKofiWebhook } from '../handlers/kofi_webhook_handler.js';
+import { handleDonationsAPI } from '../handlers/donations_api_handler.js';
+import { getConfig } from '../config/environment.js';
+import { createKvNamespace } from './helpers/bindings.js';
+import { createD1Database } from './helpers/d1.js';
+
+const config = getConfig({ ENVIRONMENT: 'development', KOFI_VERIFICATION_TOKEN: 'test-token' });
+
+// The old DONATIONS_KV blob: 20 listed entries at most, totals over everything ever received
+const legacyBlob = {
+    total: 60,
+    goal: 99,
+    donations: [
+        { name: 'Cleo', amount: '3.00', date: '2025-03-01T00:00:00.000Z', type: 'subscription', tier: 'Gold', firstPayment: true },
+        { name: 'Ben', amount: '5.00', date: '2025-02-01T00:00:00.000Z', type: 'donation' },
+        { name: 'Ada', amount: '10.00', date: '2025-01-01T00:00:00.000Z' },
+    ],
+    breakdown: { oneOff: 57, monthly: 3, shop: 0 },
+};
+
+// The import runs once per isolate; each test that imports gets its own module instance
+let instances = 0;
+function loadLedger() {
+    return import(`../utils/donation_ledger.js?instance=${++instances}`);
+}
+
+function webhookRequest(payload) {
+    const data = JSON.stringify({ verification_token: 'test-token', type: 'Donation', from_name: 'Dana', amount: '4.00', currency: 'EUR', ...payload });
+    return new Request('https://unitune.art/api/kofi-webhook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ data }).toString(),
+    });
+}
+
+async function getDonations(env) {
+    const response = await handleDonationsAPI(new Request('https://unitune.art/api/donations'), config, env);
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+test('the first read imports the KV blob, carrying over totals that are no longer listed', async () => {
+    const { getDonationsSummary } = await loadLedger();
+    const db = await createD1Database();
+    const env = { DONATIONS_DB: db, DONATIONS_KV: createKvNamespace({ donations: JSON.stringify(legacyBlob) }) };
+
+    const summary = await getDonationsSummary(env, config);
+
+    assert.equal(summary.total, 60);
+    assert.deepEqual(summary.breakdown, { oneOff: 57, monthly: 3, shop: 0 });
+    assert.deepEqual(summary.donations.map(donation => donation.name), ['Cleo', 'Ben', 'Ada']);
+    assert.equal(summary.donations[0].tier, 'Gold');
+    assert.equal(summary.donations[0].firstPayment, true);
+
+    const [{ values }] = db.sqlite.exec('SELECT source, tally, amount_cents FROM donation_ledger WHERE source = \'carried-over\'');
+    assert.deepEqual(values, [['carried-over', 'oneOff', 4200]]);
+});
+
+test('the import runs once, also across isolates', async () => {
+    const db = await createD1Database();
+    const env = { DONATIONS_DB: db, DONATIONS_KV: createKvNamespace({ donations: JSON.stringify(legacyBlob) }) };
+
+    const isolates = await Promise.all([loadLedger(), loadLedger()]);
+    await Promise.all(isolates.map(ledger => ledger.getDonationsSummary(env, config)));
+    const summary = await (await loadLedger()).getDonationsSummary(env, config);
+
+    assert.equal(summary.total, 60);
+    assert.equal(db.sqlite.exec('SELECT COUNT(*) FROM donation_ledger')[0].values[0][0], 4);
+});
+
+test('without a KV blob, initial-donations.json is imported', async () => {
+    const { getDonationsSummary } = await loadLedger();
+    const db = await createD1Database();
+
+    const summary = await getDonationsSummary({ DONATIONS_DB: db, DONATIONS_KV: createKvNamespace() }, config);
+
+    assert.deepEqual(summary, { total: 0, goal: 99, donations: [], breakdown: { oneOff: 0, monthly: 0, shop: 0 } });
+});
+
+test('webhook events are appended to the ledger and retries are ignored', async () => {
+    const db = await createD1Database();
+    const env = { DONATIONS_DB: db, DONATIONS_KV: createKvNamespace() };
+
+    const first = await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, env);
+    assert.deepEqual(await first.json(), { ok: true });
+
+    const retry = await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, env);
+    assert.deepEqual(await retry.json(), { ok: true, duplicate: true });
+
+    const subscription = await handleKofiWebhook(
+        webhookRequest({ kofi_transaction_id: 't-2', type: 'Subscription', amount: '3.00', tier_name: 'Gold' }),
+        config,
+        env
+    );
+    assert.equal(subscription.status, 200);
+
+    const { total, breakdown } = await (await loadLedger()).getDonationsSummary(env, config);
+    assert.equal(total, 7);
+    assert.deepEqual(breakdown, { oneOff: 4, monthly: 3, shop: 0 });
+});
+
+test('concurrent webhook events are all counted', async () => {
+    const db = await createD1Database();
+    const env = { DONATIONS_DB: db };
+
+    const responses = await Promise.all(
+        Array.from({ length: 25 }, (_, i) => handleKofiWebhook(webhookRequest({ kofi_transaction_id: `t-${i}`, amount: '2.00' }), config, env))
+    );
+
+    assert.ok(responses.every(response => response.status === 200));
+    const { total, donations } = await (await loadLedger()).getDonationsSummary(env, config);
+    assert.equal(total, 50);
+    assert.equal(donations.length, 20);
+});
+
+test('a Ko-fi retry of an event already in the KV blob is not counted again after the switch', async () => {
+    const kv = createKvNamespace();
+    const first = await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, { DONATIONS_KV: kv });
+    assert.deepEqual(await first.json(), { ok: true });
+
+    const env = { DONATIONS_DB: await createD1Database(), DONATIONS_KV: kv };
+    const retry = await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, env);
+    assert.deepEqual(await retry.json(), { ok: true, duplicate: true });
+
+    const donations = await getDonations(env);
+    assert.equal(donations.total, 4);
+    assert.deepEqual(donations.donations.map(donation => donation.name), ['Dana']);
+});
+
+test('ledger rows cannot be updated or deleted', async () => {
+    const db = await createD1Database();
+    await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, { DONATIONS_DB: db });
+
+    await assert.rejects(db.prepare('UPDATE donation_ledger SET amount_cents = 0').run(), /append-only/);
+    await assert.rejects(db.prepare('DELETE FROM donation_ledger').run(), /append-only/);
+});
+
+test('without DONATIONS_DB, the webhook and the API use the KV blob', async () => {
+    const env = { DONATIONS_KV: createKvNamespace({ donations: JSON.stringify(legacyBlob) }) };
+
+    const response = await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, env);
+    assert.deepEqual(await response.json(), { ok: true });
+    const retry = await handleKofiWebhook(webhookRequest({ kofi_transaction_id: 't-1' }), config, env);
+    assert.deepEqual(await retry.json(), { ok: true, duplicate: true });
+
+    const donations = await getDonations(env);
+    assert.equal(donations.total, 64);
+    assert.deepEqual(donations.breakdown, { oneOff: 61, monthly: 3, shop: 0 });
+    assert.deepEqual(donations.donations.map(donation => donation.name), ['Dana', 'Cleo', 'Ben', 'Ada']);
+});
+
+test('the API serves the KV blob while the ledger schema is missing', async () => {
+    const env = {
+        DONATIONS_DB: await createD1Database({ migrate: false }),
+        DONATIONS_KV: createKvNamespace({ donations: JSON.stringify(legacyBlob) }),
+    };
+
+    const donations = await getDonations(env);
+    assert.equal(donations.total, 60);
+    assert.equal(donations.donations.length, 3);
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readThroughCache, getCachePolicy, NOT_FOUND } from '../utils/edge_cache.js';
+import { storeCachedPage, matchCachedPage, purgeCachedPages, getPageCacheConfig, respondWithPage } from '../utils/page_cache.js';
+import { createKvNamespace, installCacheStorage, createExecutionContext } from './helpers/bindings.js';
+
+const config = { debugLogging: false, metadataCacheFreshSeconds: 86400, metadataCacheStaleSeconds: 604800 };
+const policy = getCachePolicy('METADATA', config);
+const sourceKey = 'metadata:https://open.spotify.com/track/abc';
+
+let cacheStorage;
+
+beforeEach(() => {
+    cacheStorage = installCacheStorage();
+});
+
+afterEach(() => {
+    cacheStorage.uninstall();
+});
+
+async function cachePage(pathname, ctx) {
+    await storeCachedPage(new Response('<html>old</html>', { status: 200 }), {
+        pathname,
+        bot: false,
+        country: null,
+        variesByCountry: false,
+        sourceKey,
+        cacheConfig: getPageCacheConfig(policy),
+        config,
+        ctx,
+    });
+    await ctx.drain();
+}
+
+function contextFor(env, ctx) {
+    return { config, env, ctx, onStore: () => purgeCachedPages(sourceKey, config) };
+}
+
+test('refreshing a stale entry deletes the pages rendered from it', async () => {
+    const ctx = createExecutionContext();
+    await cachePage('/s/one', ctx);
+    await cachePage('/s/two', ctx);
+    assert.ok(await matchCachedPage('/s/one', { bot: false, country: null }));
+
+    const staleTimestamp = Date.now() - (policy.freshSeconds + 60) * 1000;
+    const env = { SONG_CACHE: createKvNamespace({ [sourceKey]: JSON.stringify({ data: { title: 'old' }, timestamp: staleTimestamp }) }) };
+
+    const result = await readThroughCache(sourceKey, policy, async () => ({ title: 'new' }), contextFor(env, ctx));
+    assert.equal(result.tier, 'kv-stale');
+    assert.deepEqual(result.data, { title: 'old' });
+
+    await ctx.drain();
+    assert.equal(await matchCachedPage('/s/one', { bot: false, country: null }), null);
+    assert.equal(await matchCachedPage('/s/two', { bot: false, country: null }), null);
+    assert.equal(JSON.parse(env.SONG_CACHE.entries.get(sourceKey)).data.title, 'new');
+});
+
+test('loading a missing entry from the origin deletes the pages rendered from the old one', async () => {
+    const ctx = createExecutionContext();
+    await cachePage('/s/one', ctx);
+
+    const env = { SONG_CACHE: createKvNamespace() };
+    const result = await readThroughCache(sourceKey, policy, async () => NOT_FOUND, contextFor(env, ctx));
+    assert.equal(result.tier, 'origin');
+    assert.equal(result.notFound, true);
+
+    await ctx.drain();
+    assert.equal(await matchCachedPage('/s/one', { bot: false, country: null }), null);
+});
+
+test('fresh hits leave cached pages alone', async () => {
+    const ctx = createExecutionContext();
+    await cachePage('/s/one', ctx);
+
+    const env = { SONG_CACHE: createKvNamespace({ [sourceKey]: JSON.stringify({ data: { title: 'cached' }, timestamp: Date.now() }) }) };
+    let loads = 0;
+    const result = await readThroughCache(sourceKey, policy, async () => { loads++; return { title: 'new' }; }, contextFor(env, ctx));
+    assert.equal(result.tier, 'kv');
+
+    await ctx.drain();
+    assert.equal(loads, 0);
+    assert.ok(await matchCachedPage('/s/one', { bot: false, country: null }));
+});
+
+test('pages are shared in the edge cache and private in browsers', async () => {
+    const ctx = createExecutionContext();
+    await cachePage('/s/one', ctx);
+
+    const cached = await matchCachedPage('/s/one', { bot: false, country: null });
+    assert.equal(cached.headers.get('Cache-Control'), 'public, max-age=3600');
+
+    const response = respondWithPage(new Request('https://unitune.art/s/one'), cached);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Cache-Control'), 'private, max-age=3600');
+    assert.equal(await response.text(), '<html>old</html>');
+
+    const revalidation = new Request('https://unitune.art/s/one', { headers: { 'If-None-Match': response.headers.get('ETag') } });
+    const notModified = respondWithPage(revalidation, await matchCachedPage('/s/one', { bot: false, country: null }));
+    assert.equal(notModified.status, 304);
+    assert.equal(notModified.headers.get('Cache-Control'), 'private, max-age=3600');
+});
@@ -0,0 +1,134 @@
+/**
+ * In-memory stand-ins for the Workers bindings the tests need (Miniflare-style:
+ * same method shapes as the runtime, state kept in Maps so tests can inspect it)
+ */
+
+/**
+ * KV namespace: get(key, type), put(key, value, { expirationTtl }), delete(key)
+ * `entries` holds the raw string values, `ttls` the expirationTtl of the last put
+ */
+export function createKvNamespace(initial = {}) {
+    const entries = new Map(Object.entries(initial));
+    const ttls = new Map();
+    return {
+        entries,
+        ttls,
+        async get(key, type) {
+            const value = entries.get(key);
+            if (value === undefined) {
+                return null;
+            }
+            return type === 'json' ? JSON.parse(value) : value;
+        },
+        async put(key, value, options = {}) {
+            entries.set(key, String(value));
+            ttls.set(key, options.expirationTtl);
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+/**
+ * Cache API (caches.default) keyed by URL; installed as globalThis.caches until uninstall()
+ */
+export function installCacheStorage() {
+    const entries = new Map();
+    const cache = {
+        entries,
+        async match(request) {
+            const response = entries.get(toUrl(request));
+            return response ? response.clone() : undefined;
+        },
+        async put(request, response) {
+            entries.set(toUrl(request), response.clone());
+        },
+        async delete(request) {
+            return entries.delete(toUrl(request));
+        },
+    };
+
+    const previous = globalThis.caches;
+    globalThis.caches = { default: cache };
+    return {
+        cache,
+        uninstall() {
+            if (previous === undefined) {
+                delete globalThis.caches;
+            } else {
+                globalThis.caches = previous;
+            }
+        },
+    };
+}
+
+/**
+ * Durable Object namespace: one instance of ObjectClass per name
+ * Events to one object run one at a time, like the runtime's input gate
+ * `objects` maps names to { instance, storage, alarm() }
+ */
+export function createDurableObjectNamespace(ObjectClass, env = {}) {
+    const objects = new Map();
+
+    function getObject(name) {
+        if (!objects.has(name)) {
+            const stored = new Map();
+            let alarmTime = null;
+            const state = {
+                storage: {
+                    async get(key) { return stored.get(key); },
+                    async put(key, value) { stored.set(key, structuredClone(value)); },
+                    async setAlarm(time) { alarmTime = time; },
+                    async getAlarm() { return alarmTime; },
+                    async deleteAll() { stored.clear(); },
+                },
+            };
+            objects.set(name, {
+                instance: new ObjectClass(state, env),
+                stored,
+                alarm: () => alarmTime,
+                queue: Promise.resolve(),
+            });
+        }
+        return objects.get(name);
+    }
+
+    return {
+        objects,
+        idFromName(name) {
+            return { name };
+        },
+        get(id) {
+            const object = getObject(id.name);
+            return {
+                fetch(input, init) {
+                    const result = object.queue.then(() => object.instance.fetch(new Request(input, init)));
+                    object.queue = result.catch(() => {});
+                    return result;
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Execution context whose waitUntil promises can be awaited with drain()
+ */
+export function createExecutionContext() {
+    const pending = [];
+    return {
+        waitUntil(promise) {
+            pending.push(Promise.resolve(promise));
+        },
+        async drain() {
+            while (pending.length > 0) {
+                await Promise.all(pending.splice(0));
+            }
+        },
+    };
+}
+
+function toUrl(request) {
+    return typeof request === 'string' ? request : request.url;
+}
@@ -0,0 +1,66 @@
+import { readFile, readdir } from 'node:fs/promises';
+import initSqlJs from 'sql.js';
+
+/**
+ * D1 database backed by an in-memory SQLite (sql.js), with the schema from migrations/ applied
+ * unless `migrate` is false. Supports prepare/bind/run/all/first and batch (one transaction).
+ * `sqlite` is the sql.js database, for assertions that bypass the D1 API.
+ */
+export async function createD1Database({ migrate = true } = {}) {
+    const SQL = await initSqlJs();
+    const sqlite = new SQL.Database();
+
+    if (migrate) {
+        const dir = new URL('../../migrations/', import.meta.url);
+        for (const file of (await readdir(dir)).filter(name => name.endsWith('.sql')).sort()) {
+            sqlite.exec(await readFile(new URL(file, dir), 'utf8'));
+        }
+    }
+
+    function execute(sql, params) {
+        const statement = sqlite.prepare(sql);
+        try {
+            statement.bind(params);
+            const results = [];
+            while (statement.step()) {
+                results.push(statement.getAsObject());
+            }
+            return { success: true, results, meta: { changes: sqlite.getRowsModified() } };
+        } finally {
+            statement.free();
+        }
+    }
+
+    function prepare(sql, params = []) {
+        return {
+            sql,
+            params,
+            bind: (...values) => prepare(sql, values),
+            run: async () => execute(sql, params),
+            all: async () => execute(sql, params),
+            async first(column) {
+                const [row] = execute(sql, params).results;
+                if (!row) {
+                    return null;
+                }
+                return column ? row[column] : row;
+            },
+        };
+    }
+
+    return {
+        sqlite,
+        prepare: sql => prepare(sql),
+        async batch(statements) {
+            sqlite.exec('BEGIN');
+            try {
+                const results = statements.map(statement => execute(statement.sql, statement.params));
+                sqlite.exec('COMMIT');
+                return results;
+            } catch (error) {
+                sqlite.exec('ROLLBACK');
+                throw error;
+            }
+        },
+    };
+}
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleKofiWebhook } from '../handlers/kofi_webhook_handler.js';
+import { handleDonationsAPI } from '../handlers/donations_api_handler.js';
+import { getConfig } from '../config/environment.js';
+import { createD1Database } from './helpers/d1.js';
+import { createKvNamespace } from './helpers/bindings.js';
+
+const config = getConfig({ ENVIRONMENT: 'development', KOFI_VERIFICATION_TOKEN: 'test-token' });
+
+function webhookRequest(body, headers = {}) {
+    return new Request('https://unitune.art/api/kofi-webhook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+        body,
+        duplex: 'half',
+    });
+}
+
+test('chunked bodies are cancelled as soon as they pass the size limit', async () => {
+    const chunk = new TextEncoder().encode('a'.repeat(1024));
+    let pulls = 0;
+    let cancelled = false;
+    const endless = new ReadableStream({
+        pull(controller) {
+            pulls++;
+            controller.enqueue(chunk);
+        },
+        cancel() {
+            cancelled = true;
+        },
+    });
+
+    const response = await handleKofiWebhook(webhookRequest(endless), config, { DONATIONS_DB: {} });
+
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).code, 'payload_too_large');
+    assert.equal(cancelled, true);
+    assert.ok(pulls <= 20, `read ${pulls} KB`);
+});
+
+test('a Content-Length above the limit is rejected without reading the body', async () => {
+    const response = await handleKofiWebhook(
+        webhookRequest('data=%7B%7D', { 'Content-Length': '100000' }),
+        config,
+        { DONATIONS_DB: {} }
+    );
+    assert.equal(response.status, 413);
+});
+
+test('bodies within the limit are read', async () => {
+    const data = JSON.stringify({ verification_token: 'wrong' });
+    const response = await handleKofiWebhook(webhookRequest(new URLSearchParams({ data }).toString()), config, { DONATIONS_DB: {} });
+    assert.equal(response.status, 401);
+});
+
+function kofiRequest(payload) {
+    const data = JSON.stringify({
+        verification_token: 'test-token',
+        kofi_transaction_id: 't-1',
+        type: 'Donation',
+        from_name: 'Dana',
+        amount: '4.00',
+        currency: 'EUR',
+        ...payload,
+    });
+    return webhookRequest(new URLSearchParams({ data }).toString());
+}
+
+function ledgerRows(db) {
+    const [result] = db.sqlite.exec('SELECT transaction_id, source, type, tally, name, amount_cents FROM donation_ledger ORDER BY id');
+    return result ? result.values : [];
+}
+
+test('events with a valid token are recorded', async () => {
+    const db = await createD1Database();
+
+    const response = await handleKofiWebhook(kofiRequest({}), config, { DONATIONS_DB: db });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.deepEqual(ledgerRows(db), [['t-1', 'kofi', 'donation', 'oneOff', 'Dana', 400]]);
+});
+
+test('a repeated kofi_transaction_id is acknowledged but counted once', async () => {
+    const db = await createD1Database();
+    const env = { DONATIONS_DB: db };
+
+    await handleKofiWebhook(kofiRequest({}), config, env);
+    const retry = await handleKofiWebhook(kofiRequest({ amount: '9.00' }), config, env);
+
+    assert.equal(retry.status, 200);
+    assert.deepEqual(await retry.json(), { ok: true, duplicate: true });
+    assert.deepEqual(ledgerRows(db), [['t-1', 'kofi', 'donation', 'oneOff', 'Dana', 400]]);
+});
+
+test('without KOFI_VERIFICATION_TOKEN or a donations store the webhook answers 503', async () => {
+    const db = await createD1Database();
+    const unconfigured = getConfig({ ENVIRONMENT: 'development' });
+
+    const withoutToken = await handleKofiWebhook(kofiRequest({}), unconfigured, { DONATIONS_DB: db });
+    assert.equal(withoutToken.status, 503);
+    assert.equal((await withoutToken.json()).code, 'not_configured');
+
+    const withoutStore = await handleKofiWebhook(kofiRequest({}), config, {});
+    assert.equal(withoutStore.status, 503);
+
+    assert.deepEqual(ledgerRows(db), []);
+});
+
+test('subscriptions, shop orders and commissions land in their part of the breakdown', async () => {
+    const payloads = [
+        { kofi_transaction_id: 't-1', type: 'Donation', amount: '5.00' },
+        { kofi_transaction_id: 't-2', type: 'Subscription', amount: '3.00', tier_name: 'Gold', is_first_subscription_payment: true },
+        { kofi_transaction_id: 't-3', type: 'Subscription', amount: '3.00', tier_name: 'Gold', is_first_subscription_payment: false },
+        { kofi_transaction_id: 't-4', type: 'Shop Order', amount: '12.50' },
+        { kofi_transaction_id: 't-5', type: 'Commission', amount: '20.00' },
+    ];
+
+    // The ledger, and the KV blob used until it is set up
+    for (const env of [{ DONATIONS_DB: await createD1Database() }, { DONATIONS_KV: createKvNamespace() }]) {
+        for (const payload of payloads) {
+            const response = await handleKofiWebhook(kofiRequest(payload), config, env);
+            assert.equal(response.status, 200);
+        }
+
+        const response = await handleDonationsAPI(new Request('https://unitune.art/api/donations'), config, env);
+        const donations = await response.json();
+
+        assert.equal(donations.total, 43.5);
+        assert.deepEqual(donations.breakdown, { oneOff: 5, monthly: 6, shop: 32.5 });
+        assert.deepEqual(
+            donations.donations.map(({ type, amount }) => [type, amount]).sort(),
+            [['commission', '20.00'], ['donation', '5.00'], ['shop', '12.50'], ['subscription', '3.00'], ['subscription', '3.00']]
+        );
+        const subscriptions = donations.donations.filter(donation => donation.type === 'subscription');
+        assert.deepEqual(subscriptions.map(donation => [donation.tier, donation.firstPayment]).sort(), [['Gold', false], ['Gold', true]]);
+    }
+});
+
+test('other Ko-fi event types are acknowledged and not counted', async () => {
+    const db = await createD1Database();
+    const response = await handleKofiWebhook(kofiRequest({ type: 'Something New' }), config, { DONATIONS_DB: db });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(ledgerRows(db), []);
+});
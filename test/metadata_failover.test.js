@@ -0,0 +1,135 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { fetchMetadataFromApi } from '../utils/metadata_fetcher.js';
+import { getConfig } from '../config/environment.js';
+
+const musicUrl = 'https://open.spotify.com/track/abc';
+
+// Local stub upstreams; each test sets how they answer
+const stubs = {
+    unitune: { handler: null, requests: 0 },
+    odesli: { handler: null, requests: 0 },
+};
+const servers = [];
+
+function metadataPayload(title) {
+    return {
+        entityUniqueId: 'SPOTIFY_SONG::abc',
+        entitiesByUniqueId: {
+            'SPOTIFY_SONG::abc': { id: 'abc', type: 'song', title, artistName: 'Stub Artist' },
+        },
+        linksByPlatform: {
+            spotify: { url: musicUrl, entityUniqueId: 'SPOTIFY_SONG::abc' },
+        },
+    };
+}
+
+const answer = (status, body) => (request, response) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body ?? {}));
+};
+
+before(async () => {
+    for (const stub of Object.values(stubs)) {
+        const server = createServer((request, response) => {
+            stub.requests++;
+            stub.handler(request, response);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        stub.endpoint = `http://127.0.0.1:${server.address().port}/v1-alpha.1/links`;
+        servers.push(server);
+    }
+});
+
+after(async () => {
+    for (const server of servers) {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+beforeEach(() => {
+    for (const stub of Object.values(stubs)) {
+        stub.requests = 0;
+        stub.handler = answer(500);
+    }
+});
+
+function stubConfig(vars = {}) {
+    return getConfig({
+        ENVIRONMENT: 'development',
+        UNITUNE_API_ENDPOINT: stubs.unitune.endpoint,
+        ODESLI_API_ENDPOINT: stubs.odesli.endpoint,
+        UPSTREAM_TIMEOUT_MS: '200',
+        UPSTREAM_MAX_RETRIES: '0',
+        // Keep the per-isolate breakers closed across tests
+        CIRCUIT_BREAKER_THRESHOLD: '1000',
+        ...vars,
+    });
+}
+
+test('a 5xx from the primary fails over to Odesli', async () => {
+    stubs.unitune.handler = answer(503);
+    stubs.odesli.handler = answer(200, metadataPayload('From Odesli'));
+
+    const result = await fetchMetadataFromApi(musicUrl, stubConfig());
+
+    assert.equal(result.upstream, 'odesli');
+    assert.equal(result.data.entitiesByUniqueId['SPOTIFY_SONG::abc'].title, 'From Odesli');
+    assert.equal(stubs.unitune.requests, 1);
+    assert.equal(stubs.odesli.requests, 1);
+});
+
+test('a timeout from the primary fails over to Odesli', async () => {
+    stubs.unitune.handler = () => {}; // never answers
+    stubs.odesli.handler = answer(200, metadataPayload('From Odesli'));
+
+    const result = await fetchMetadataFromApi(musicUrl, stubConfig());
+
+    assert.equal(result.upstream, 'odesli');
+    assert.equal(stubs.odesli.requests, 1);
+});
+
+test('a body that stalls after the headers times out and fails over to Odesli', async () => {
+    stubs.unitune.handler = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.write('{"entityUniqueId":'); // never finished
+    };
+    stubs.odesli.handler = answer(200, metadataPayload('From Odesli'));
+
+    const started = Date.now();
+    const result = await fetchMetadataFromApi(musicUrl, stubConfig());
+
+    assert.equal(result.upstream, 'odesli');
+    assert.equal(stubs.odesli.requests, 1);
+    assert.ok(Date.now() - started < 2000);
+});
+
+test('a 404 from the primary is final', async () => {
+    stubs.unitune.handler = answer(404, { error: 'not found' });
+    stubs.odesli.handler = answer(200, metadataPayload('From Odesli'));
+
+    const result = await fetchMetadataFromApi(musicUrl, stubConfig());
+
+    assert.deepEqual(result, { data: null, status: 404, upstream: 'unitune' });
+    assert.equal(stubs.odesli.requests, 0);
+});
+
+test('METADATA_UPSTREAM_ORDER sets the order adapters are tried in', async () => {
+    stubs.unitune.handler = answer(200, metadataPayload('From UniTune'));
+    stubs.odesli.handler = answer(200, metadataPayload('From Odesli'));
+
+    const odesliFirst = await fetchMetadataFromApi(musicUrl, stubConfig({ METADATA_UPSTREAM_ORDER: 'odesli,unitune' }));
+    assert.equal(odesliFirst.upstream, 'odesli');
+    assert.equal(stubs.unitune.requests, 0);
+
+    const unituneFirst = await fetchMetadataFromApi(musicUrl, stubConfig({ METADATA_UPSTREAM_ORDER: 'unitune,odesli' }));
+    assert.equal(unituneFirst.upstream, 'unitune');
+    assert.equal(stubs.odesli.requests, 1);
+
+    stubs.unitune.handler = answer(502);
+    const unituneOnly = await fetchMetadataFromApi(musicUrl, stubConfig({ METADATA_UPSTREAM_ORDER: 'unitune' }));
+    assert.deepEqual(unituneOnly, { data: null, status: 502, upstream: null });
+    assert.equal(stubs.odesli.requests, 1);
+});
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, RATE_LIMIT_POLICIES, takeToken, getStateTtl, getRateLimitKey, getRateLimitSecret } from '../security/rate_limiter.js';
+import { RateLimitCounter } from '../security/rate_limit_object.js';
+import { rateLimitMiddleware } from '../utils/middleware.js';
+import { getConfig } from '../config/environment.js';
+import { createDurableObjectNamespace, createKvNamespace } from './helpers/bindings.js';
+
+const policy = RATE_LIMIT_POLICIES.SONG_LOOKUP; // 30 burst, 0.5 tokens per second
+
+test('concurrent takes against the Durable Object allow exactly one burst', async () => {
+    const namespace = createDurableObjectNamespace(RateLimitCounter);
+    const limiter = new RateLimiter();
+
+    const results = await Promise.all(
+        Array.from({ length: 50 }, () => limiter.checkLimit('client-a', { durableObject: namespace }, policy))
+    );
+
+    assert.equal(results.filter(result => result.allowed).length, policy.maxTokens);
+    assert.equal(results.filter(result => !result.allowed).length, 50 - policy.maxTokens);
+    assert.ok(results.filter(result => !result.allowed).every(result => result.retryAfter >= 1));
+
+    // Another client has its own object and bucket
+    const other = await limiter.checkLimit('client-b', { durableObject: namespace }, policy);
+    assert.equal(other.allowed, true);
+    assert.deepEqual([...namespace.objects.keys()].sort(), ['song:client-a', 'song:client-b']);
+});
+
+test('the Durable Object schedules an alarm that deletes the idle bucket', async () => {
+    const namespace = createDurableObjectNamespace(RateLimitCounter);
+    const before = Date.now();
+    await new RateLimiter().checkLimit('client-a', { durableObject: namespace }, policy);
+
+    const object = namespace.objects.get('song:client-a');
+    assert.ok(object.stored.has('bucket'));
+    assert.ok(object.alarm() >= before + getStateTtl(policy) * 1000);
+
+    await object.instance.alarm();
+    assert.equal(object.stored.size, 0);
+});
+
+test('the Durable Object rejects requests without a valid policy', async () => {
+    const namespace = createDurableObjectNamespace(RateLimitCounter);
+    const stub = namespace.get(namespace.idFromName('x'));
+
+    const response = await stub.fetch('https://rate-limiter/take', { method: 'POST', body: '{}' });
+    assert.equal(response.status, 400);
+});
+
+test('tokens refill at refillRate and never beyond maxTokens', () => {
+    const start = 1_000_000;
+    let state = null;
+    for (let i = 0; i < policy.maxTokens; i++) {
+        ({ state } = takeToken(state, policy, start));
+    }
+
+    const empty = takeToken(state, policy, start);
+    assert.equal(empty.allowed, false);
+    assert.equal(empty.retryAfter, 2); // one token every 2 seconds
+
+    // 1.9 s: still nothing; 2 s: one token
+    assert.equal(takeToken(state, policy, start + 1900).allowed, false);
+    const refilled = takeToken(state, policy, start + 2000);
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 0);
+
+    // Partial refills accrue: 1.5 s + 1.5 s after the last refill add up to a token
+    const afterPartial = takeToken(refilled.state, policy, start + 3500);
+    assert.equal(afterPartial.allowed, false);
+    assert.equal(takeToken(afterPartial.state, policy, start + 5000).allowed, true);
+
+    // A long idle period fills the bucket up to maxTokens only
+    const full = takeToken(state, policy, start + 3_600_000);
+    assert.equal(full.remaining, policy.maxTokens - 1);
+    assert.equal(full.reset, 2);
+});
+
+test('KV is used when the Durable Object binding is missing', async () => {
+    const kv = createKvNamespace();
+    const limiter = new RateLimiter();
+
+    const first = await limiter.checkLimit('client-a', { kv }, policy);
+    assert.equal(first.allowed, true);
+    assert.equal(first.remaining, policy.maxTokens - 1);
+    assert.ok(kv.entries.has('ratelimit:song:client-a'));
+    assert.equal(kv.ttls.get('ratelimit:song:client-a'), getStateTtl(policy));
+
+    for (let i = 1; i < policy.maxTokens; i++) {
+        await limiter.checkLimit('client-a', { kv }, policy);
+    }
+    const limited = await limiter.checkLimit('client-a', { kv }, policy);
+    assert.equal(limited.allowed, false);
+});
+
+test('KV is used when the Durable Object is unavailable', async () => {
+    const kv = createKvNamespace();
+    const failing = {
+        idFromName: name => ({ name }),
+        get: () => ({ fetch: async () => { throw new Error('overloaded'); } }),
+    };
+
+    const result = await new RateLimiter().checkLimit('client-a', { durableObject: failing, kv }, policy);
+    assert.equal(result.allowed, true);
+    assert.ok(kv.entries.has('ratelimit:song:client-a'));
+});
+
+test('requests are allowed when no store is available', async () => {
+    assert.deepEqual(await new RateLimiter().checkLimit('client-a', {}, policy), { allowed: true });
+});
+
+test('RATE_LIMIT_SECRET has no fixed fallback in production', () => {
+    assert.equal(getConfig({}).rateLimitSecret, null);
+    assert.equal(getConfig({ ENVIRONMENT: 'production' }).rateLimitSecret, null);
+    assert.equal(getConfig({ ENVIRONMENT: 'production', RATE_LIMIT_SECRET: 's3cret' }).rateLimitSecret, 's3cret');
+    assert.ok(getConfig({ ENVIRONMENT: 'development' }).rateLimitSecret);
+});
+
+test('client keys are never derived without a secret', async () => {
+    await assert.rejects(getRateLimitKey('192.0.2.1', null));
+    assert.match(await getRateLimitKey('192.0.2.1', 's3cret'), /^[0-9a-f]{32}$/);
+});
+
+test('without RATE_LIMIT_SECRET one random secret is generated and kept in the Durable Object', async () => {
+    const config = getConfig({ ENVIRONMENT: 'production' });
+    const namespace = createDurableObjectNamespace(RateLimitCounter);
+
+    const secrets = await Promise.all(Array.from({ length: 5 }, () => getRateLimitSecret(config, { durableObject: namespace })));
+    assert.match(secrets[0], /^[0-9a-f]{64}$/);
+    assert.ok(secrets.every(secret => secret === secrets[0]));
+    assert.equal(namespace.objects.get('rate-limit-secret').stored.get('secret'), secrets[0]);
+
+    // Another deployment's store gets its own secret
+    const other = await getRateLimitSecret(config, { durableObject: createDurableObjectNamespace(RateLimitCounter) });
+    assert.notEqual(other, secrets[0]);
+
+    // A configured secret is used as is
+    assert.equal(await getRateLimitSecret(getConfig({ RATE_LIMIT_SECRET: 's3cret' }), { durableObject: namespace }), 's3cret');
+});
+
+test('without RATE_LIMIT_SECRET or a Durable Object the secret is kept in KV', async () => {
+    const kv = createKvNamespace();
+    const secret = await getRateLimitSecret(getConfig({}), { kv });
+
+    assert.match(secret, /^[0-9a-f]{64}$/);
+    assert.equal(kv.entries.get('ratelimit:secret'), secret);
+    assert.equal(await getRateLimitSecret(getConfig({}), { kv: createKvNamespace({ 'ratelimit:secret': secret }) }), secret);
+});
+
+test('routes stay rate limited in production when RATE_LIMIT_SECRET is missing', async () => {
+    const kv = createKvNamespace();
+    const context = {
+        request: new Request('https://unitune.art/api/song', { headers: { 'CF-Connecting-IP': '192.0.2.1' } }),
+        route: { rateLimit: { ...policy, maxTokens: 2 } },
+        config: getConfig({ ENVIRONMENT: 'production' }),
+        env: { RATE_LIMIT: kv },
+    };
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+        const response = await rateLimitMiddleware(context, async () => new Response('ok'));
+        statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.ok(kv.entries.has('ratelimit:secret'));
+    assert.ok(![...kv.entries.keys()].some(key => key.includes('192.0.2.1')));
+});
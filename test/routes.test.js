@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../worker.js';
+import { ROUTES } from '../config/routes.js';
+import { compilePath } from '../utils/router.js';
+import { createExecutionContext } from './helpers/bindings.js';
+
+function findRoute(pathname) {
+    return ROUTES.find(route => compilePath(route.path)(pathname));
+}
+
+test('/health answers plain OK, and JSON details when asked for', async () => {
+    const env = { ENVIRONMENT: 'development' };
+
+    const plain = await worker.fetch(new Request('https://unitune.art/health'), env, createExecutionContext());
+    assert.equal(plain.status, 200);
+    assert.equal(await plain.text(), 'OK');
+    assert.equal(plain.headers.get('Cache-Control'), 'no-store');
+
+    const detailed = await worker.fetch(
+        new Request('https://unitune.art/health', { headers: { Accept: 'application/json' } }),
+        env,
+        createExecutionContext()
+    );
+    assert.equal(detailed.status, 200);
+    assert.equal((await detailed.json()).status, 'ok');
+});
+
+test('playlist links match everything after /p/', () => {
+    assert.equal(findRoute('/p/abc').path, '/p/:id+');
+    assert.equal(findRoute('/p/abc/def').path, '/p/:id+');
+    assert.equal(compilePath('/p/:id+')('/p/abc/def').id, 'abc/def');
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareLink, decodeShareLink, SHARE_CODEC_ERRORS } from '../utils/share_codec.js';
+import { reconstructMusicUrl } from '../utils/url_validator.js';
+import { handleEncode } from '../handlers/encode_handler.js';
+
+const config = { debugLogging: false };
+
+const link = { platform: 'spotify', type: 'track', id: '4cOdK2wGLETKBW3PvgPWqT', nickname: 'Sam', storefront: null };
+
+// Replaces one byte of a v2 code's payload
+function tamper(code, index, value) {
+    const bytes = Buffer.from(code.substring(3), 'base64url');
+    bytes[index] = value;
+    return `v2.${bytes.toString('base64url')}`;
+}
+
+test('v1 and v2 links round-trip', () => {
+    for (const version of [1, 2]) {
+        const encoded = encodeShareLink(link, { version });
+        assert.equal(encoded.ok, true);
+        assert.ok(encoded.code.startsWith(`v${version}.`));
+        assert.deepEqual(decodeShareLink(encoded.code), { ok: true, link: { version, ...link } });
+    }
+
+    assert.equal(encodeShareLink(link).version, 2);
+    assert.deepEqual(decodeShareLink(encodeShareLink({ ...link, nickname: null }).code).link.nickname, null);
+});
+
+test('unprefixed legacy links decode as v1 text or as a full URL', () => {
+    const text = Buffer.from('spotify:track:4cOdK2wGLETKBW3PvgPWqT:Sam').toString('base64url');
+    assert.deepEqual(decodeShareLink(text), { ok: true, link: { version: 1, ...link } });
+
+    const url = 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT';
+    assert.deepEqual(decodeShareLink(Buffer.from(url).toString('base64')).link, {
+        version: 0, url, platform: null, type: null, id: null, nickname: null, storefront: null,
+    });
+});
+
+test('nicknames may contain colons', () => {
+    const nickname = 'DJ: the remix: part 2';
+    for (const version of [1, 2]) {
+        const { code } = encodeShareLink({ ...link, nickname }, { version });
+        assert.equal(decodeShareLink(code).link.nickname, nickname);
+    }
+});
+
+test('v2 links with a wrong checksum are rejected', () => {
+    const { code } = encodeShareLink(link);
+    const payload = Buffer.from(code.substring(3), 'base64url');
+
+    assert.equal(decodeShareLink(tamper(code, 3, payload[3] ^ 0x01)).error.code, SHARE_CODEC_ERRORS.CHECKSUM_MISMATCH);
+    assert.equal(decodeShareLink(tamper(code, payload.length - 1, payload[payload.length - 1] ^ 0xff)).error.code, SHARE_CODEC_ERRORS.CHECKSUM_MISMATCH);
+});
+
+test('truncated v2 links are rejected', () => {
+    const { code } = encodeShareLink(link);
+    const payload = Buffer.from(code.substring(3), 'base64url');
+
+    // Cut short: the last bytes no longer form a matching checksum
+    for (const length of [0, 3, 5, 10, payload.length - 3]) {
+        const result = decodeShareLink(`v2.${payload.subarray(0, length).toString('base64url')}`);
+        assert.equal(result.ok, false, `length ${length}`);
+        assert.ok([SHARE_CODEC_ERRORS.EMPTY, SHARE_CODEC_ERRORS.INVALID_ENCODING, SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, SHARE_CODEC_ERRORS.CHECKSUM_MISMATCH].includes(result.error.code));
+    }
+
+    // A length prefix pointing past the end, with a valid checksum
+    assert.equal(decodeShareLink(withChecksum([1, 1, 40, 0x61, 0x62, 0x63, 0])).error.code, SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD);
+    assert.equal(decodeShareLink(withChecksum([1, 1, 3, 0x61, 0x62, 0x63, 9, 0x61])).error.code, SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD);
+});
+
+test('malformed codes are rejected without throwing', () => {
+    assert.equal(decodeShareLink('').error.code, SHARE_CODEC_ERRORS.EMPTY);
+    assert.equal(decodeShareLink('v2.@@@').error.code, SHARE_CODEC_ERRORS.INVALID_ENCODING);
+    assert.equal(decodeShareLink('v9.AAAA').error.code, SHARE_CODEC_ERRORS.UNSUPPORTED_VERSION);
+    assert.equal(decodeShareLink(`v1.${Buffer.from('spotify:track').toString('base64url')}`).error.code, SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD);
+    assert.equal(decodeShareLink(`v1.${Buffer.from('myspace:track:1').toString('base64url')}`).error.code, SHARE_CODEC_ERRORS.UNSUPPORTED_PLATFORM);
+    assert.equal(encodeShareLink({ ...link, id: 'a b' }).error.code, SHARE_CODEC_ERRORS.INVALID_ID);
+    assert.equal(encodeShareLink({ ...link, nickname: 'x'.repeat(256) }).error.code, SHARE_CODEC_ERRORS.INVALID_NICKNAME);
+});
+
+// Frames a raw v2 payload with its CRC-16/CCITT-FALSE checksum
+function withChecksum(bytes) {
+    let crc = 0xffff;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return `v2.${Buffer.from([...bytes, crc >> 8, crc & 0xff]).toString('base64url')}`;
+}
+
+test('the storefront round-trips through v1 and v2', () => {
+    const link = { platform: 'applemusic', type: 'album', id: '123', nickname: 'Sam', storefront: 'de' };
+
+    for (const version of [1, 2]) {
+        const encoded = encodeShareLink(link, { version });
+        assert.equal(encoded.ok, true);
+        assert.deepEqual(decodeShareLink(encoded.code), { ok: true, link: { version, ...link } });
+    }
+});
+
+test('links without a storefront keep their pre-storefront encoding', () => {
+    // Encoded before the storefront field existed
+    assert.equal(encodeShareLink({ platform: 'spotify', type: 'track', id: 'abc' }).code, 'v2.AQEDYWJjAGbJ');
+    assert.deepEqual(decodeShareLink('v2.AwIDMTIzA1NhbeCq').link, {
+        version: 2, platform: 'applemusic', type: 'album', id: '123', nickname: 'Sam', storefront: null,
+    });
+    assert.equal(decodeShareLink('v1.c3BvdGlmeTp0cmFjazphYmM').link.storefront, null);
+});
+
+test('invalid storefronts are rejected', () => {
+    const encoded = encodeShareLink({ platform: 'applemusic', type: 'album', id: '123', storefront: 'DEU' });
+    assert.equal(encoded.error.code, SHARE_CODEC_ERRORS.INVALID_STOREFRONT);
+
+    const v1 = `v1.${Buffer.from('applemusic.de.x:album:123').toString('base64url')}`;
+    assert.equal(decodeShareLink(v1).error.code, SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD);
+});
+
+test('/api/encode links open in the storefront of its canonicalUrl', async () => {
+    for (const musicUrl of ['https://music.apple.com/de/album/x/123', 'https://music.amazon.co.jp/albums/B0ABCDEFGH']) {
+        const url = new URL('https://unitune.art/api/encode');
+        url.searchParams.set('url', musicUrl);
+        const body = await (await handleEncode(new Request(url), url, config)).json();
+
+        const { link } = decodeShareLink(body.code);
+        assert.equal(reconstructMusicUrl(link.platform, link.type, link.id, link.storefront), body.canonicalUrl);
+    }
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { localizeMusicUrl } from '../utils/storefront.js';
+
+test('links move to the visitor storefront where the platform is available', () => {
+    assert.equal(localizeMusicUrl('https://music.apple.com/de/album/123', 'fr'), 'https://music.apple.com/fr/album/123');
+    assert.equal(localizeMusicUrl('https://music.amazon.de/albums/B0ABCDEFGH', 'gb'), 'https://music.amazon.co.uk/albums/B0ABCDEFGH');
+});
+
+test('countries without the platform keep the storefront the link was shared from', () => {
+    // No Apple Music in Iran or North Korea, no Amazon Music storefront in Austria
+    assert.equal(localizeMusicUrl('https://music.apple.com/de/album/123', 'ir'), 'https://music.apple.com/de/album/123');
+    assert.equal(localizeMusicUrl('https://music.apple.com/de/album/123', 'kp'), 'https://music.apple.com/de/album/123');
+    assert.equal(localizeMusicUrl('https://music.amazon.de/albums/B0ABCDEFGH', 'at'), 'https://music.amazon.de/albums/B0ABCDEFGH');
+});
+
+test('other platforms and unknown countries are left alone', () => {
+    const spotify = 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT';
+    assert.equal(localizeMusicUrl(spotify, 'de'), spotify);
+    assert.equal(localizeMusicUrl('https://music.apple.com/de/album/123', null), 'https://music.apple.com/de/album/123');
+});
@@ -0,0 +1,309 @@
+import { log } from './logger.js';
+import { KOFI_EVENT_TYPES, DONATION_GOAL, normalizeDonationsData } from './donation_tally.js';
+import INITIAL_DONATIONS from '../initial-donations.json' with { type: 'json' };
+
+/**
+ * Donation ledger (D1, bound as DONATIONS_DB)
+ *
+ * Append-only: one row per Ko-fi event, schema in migrations/0001_donation_ledger.sql.
+ * Each event is a single INSERT keyed by its transaction ID, so concurrent webhooks
+ * can't overwrite each other and Ko-fi retries are ignored by the UNIQUE constraint.
+ * Totals are summed from all rows on read; nothing is truncated.
+ *
+ * Migration from the old store (the `donations` JSON blob in DONATIONS_KV):
+ * - Until DONATIONS_DB is bound, events are still added to the blob and /api/donations reads
+ *   it (recordDonationEvent, getDonationsSummary); the same goes for reads while the schema
+ *   hasn't been applied yet
+ * - The first read from the ledger imports the blob, or initial-donations.json when KV has
+ *   none (the blob was seeded from it), see importLegacyDonations
+ */
+
+// Recent supporters returned to the UI
+const RECENT_DONATIONS_LIMIT = 20;
+
+// Old store: blob key, entries it keeps and how long processed transaction IDs are remembered
+const LEGACY_DONATIONS_KEY = 'donations';
+const LEGACY_MAX_DONATIONS = 20;
+const LEGACY_TRANSACTION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Set once this isolate has seen the legacy import in the ledger
+let legacyImportDone = false;
+
+// Name of the rows that carry over imported totals without a listed entry
+const CARRIED_OVER_NAME = 'Earlier supporters';
+
+/**
+ * Columns written by insertStatement (in this order)
+ */
+const LEDGER_COLUMNS = [
+    'transaction_id',
+    'source',
+    'type',
+    'tally',
+    'name',
+    'amount_cents',
+    'original_amount',
+    'currency',
+    'tier',
+    'first_payment',
+    'created_at',
+];
+
+/**
+ * Converts an event into column values (LEDGER_COLUMNS order)
+ *
+ * @param {Object} event
+ * @param {string} event.transactionId - kofi_transaction_id, or import:<source>:<n>
+ * @param {string} event.source - 'kofi', 'import' or 'carried-over'
+ * @param {Object} event.eventType - Entry from KOFI_EVENT_TYPES
+ * @param {string} event.name - Supporter name
+ * @param {number} event.amount - Amount in EUR
+ * @param {string|null} [event.originalAmount] - Amount as sent, before conversion
+ * @param {string} [event.currency] - Currency as sent
+ * @param {string|null} [event.tier] - Membership tier (subscriptions)
+ * @param {boolean} [event.firstPayment] - First payment of a subscription
+ * @param {string} event.date - ISO date
+ * @returns {Array} - Column values
+ */
+function toLedgerRow(event) {
+    return [
+        event.transactionId,
+        event.source,
+        event.eventType.kind,
+        event.eventType.tally,
+        event.name,
+        Math.round(event.amount * 100),
+        event.originalAmount ?? null,
+        event.currency || 'EUR',
+        event.tier ?? null,
+        event.firstPayment ? 1 : 0,
+        event.date,
+    ];
+}
+
+/**
+ * Appends an event to the ledger
+ *
+ * @param {D1Database} db - DONATIONS_DB binding
+ * @param {Object} event - See toLedgerRow
+ * @returns {Promise<boolean>} - False if the transaction ID was recorded before
+ */
+async function appendLedgerEvent(db, event) {
+    const result = await insertStatement(db, event).run();
+    return result.meta.changes > 0;
+}
+
+/**
+ * Records a Ko-fi event in the ledger, or in the old KV blob while DONATIONS_DB isn't bound
+ *
+ * Events already added to the blob are skipped: the import gives blob entries their own
+ * transaction IDs, so a Ko-fi retry arriving after the switch would otherwise count twice.
+ *
+ * @param {Object} env - Environment bindings (DONATIONS_DB, DONATIONS_KV)
+ * @param {Object} event - See toLedgerRow
+ * @returns {Promise<boolean>} - False if the transaction ID was recorded before
+ */
+export async function recordDonationEvent(env, event) {
+    if (env.DONATIONS_DB) {
+        if (env.DONATIONS_KV && await env.DONATIONS_KV.get(legacyTransactionKey(event.transactionId))) {
+            return false;
+        }
+        return appendLedgerEvent(env.DONATIONS_DB, event);
+    }
+    return appendLegacyDonation(env.DONATIONS_KV, event);
+}
+
+/**
+ * Reads the /api/donations data: from the ledger (importing the old blob on first use),
+ * or from the old KV blob while the ledger isn't bound or its schema isn't applied
+ *
+ * @param {Object} env - Environment bindings (DONATIONS_DB, DONATIONS_KV)
+ * @param {Object} config - Worker configuration
+ * @returns {Promise<Object>} - { total, goal, donations, breakdown }
+ */
+export async function getDonationsSummary(env, config) {
+    if (env.DONATIONS_DB) {
+        try {
+            await importLegacyDonations(env.DONATIONS_DB, env.DONATIONS_KV, config);
+            return await getLedgerSummary(env.DONATIONS_DB);
+        } catch (error) {
+            log(config, 'error', 'Donation ledger unavailable, reading DONATIONS_KV', { error: error.message });
+        }
+    }
+    return readLegacyDonations(env.DONATIONS_KV);
+}
+
+/**
+ * Imports the old KV blob (or initial-donations.json if KV has none) unless the ledger
+ * already holds imported rows. Safe to run concurrently: rows have deterministic
+ * transaction IDs and are inserted with ON CONFLICT DO NOTHING, in one batch.
+ *
+ * @param {D1Database} db - DONATIONS_DB binding
+ * @param {KVNamespace|undefined} kv - DONATIONS_KV binding
+ * @param {Object} config - Worker configuration
+ */
+export async function importLegacyDonations(db, kv, config) {
+    if (legacyImportDone) {
+        return;
+    }
+
+    const imported = await db.prepare("SELECT COUNT(*) AS count FROM donation_ledger WHERE source != 'kofi'").first();
+    if (imported.count === 0) {
+        const stored = kv ? await kv.get(LEGACY_DONATIONS_KEY, 'json') : null;
+        const [blob, source] = stored ? [stored, 'kv'] : [INITIAL_DONATIONS, 'initial'];
+        const events = getImportEvents(blob, source, new Date().toISOString());
+        if (events.length > 0) {
+            await db.batch(events.map(event => insertStatement(db, event)));
+            log(config, 'info', 'Imported donations into the ledger', { source, rows: events.length });
+        }
+    }
+
+    legacyImportDone = true;
+}
+
+/**
+ * Reads totals and recent supporters, in the /api/donations shape (see utils/donation_tally.js)
+ * Both queries run in one batch, so they see the same ledger state
+ *
+ * @param {D1Database} db - DONATIONS_DB binding
+ * @returns {Promise<Object>} - { total, goal, donations, breakdown }
+ */
+async function getLedgerSummary(db) {
+    const [totalsResult, recentResult] = await db.batch([
+        db.prepare('SELECT total_cents, one_off_cents, monthly_cents, shop_cents FROM donation_totals'),
+        db.prepare('SELECT name, amount_cents, created_at, type, tier, first_payment FROM recent_donations ORDER BY created_at DESC, id DESC LIMIT ?')
+            .bind(RECENT_DONATIONS_LIMIT),
+    ]);
+
+    const totals = totalsResult.results[0];
+    return {
+        total: totals.total_cents / 100,
+        goal: DONATION_GOAL,
+        donations: recentResult.results.map(row => {
+            const entry = {
+                name: row.name,
+                amount: (row.amount_cents / 100).toFixed(2),
+                date: row.created_at,
+                type: row.type,
+            };
+            if (row.type === 'subscription') {
+                entry.tier = row.tier;
+                entry.firstPayment = row.first_payment === 1;
+            }
+            return entry;
+        }),
+        breakdown: {
+            oneOff: totals.one_off_cents / 100,
+            monthly: totals.monthly_cents / 100,
+            shop: totals.shop_cents / 100,
+        },
+    };
+}
+
+/**
+ * Turns a donations blob (the old DONATIONS_KV `donations` key or initial-donations.json)
+ * into ledger events
+ *
+ * Every listed entry becomes an 'import' row. The blob only kept the newest entries, so
+ * whatever its totals exceed the listed amounts by is added as one 'carried-over' row per
+ * tally; the ledger total then equals the blob's total.
+ *
+ * @param {Object|null} blob - Stored donations data
+ * @param {string} source - Name of the blob, part of the transaction IDs (e.g. 'kv')
+ * @param {string} importedAt - ISO date for carried-over rows when the blob lists no entries
+ * @returns {Array<Object>} - Events for toLedgerRow, oldest first
+ */
+export function getImportEvents(blob, source, importedAt) {
+    const data = normalizeDonationsData(blob);
+    const eventTypes = Object.values(KOFI_EVENT_TYPES);
+    const listedCents = { oneOff: 0, monthly: 0, shop: 0 };
+
+    // Blobs are stored newest first; number entries from the oldest
+    const events = [...data.donations].reverse().map((donation, index) => {
+        const eventType = eventTypes.find(type => type.kind === donation.type) || KOFI_EVENT_TYPES['Donation'];
+        const amount = parseFloat(donation.amount) || 0;
+        listedCents[eventType.tally] += Math.round(amount * 100);
+        return {
+            transactionId: `import:${source}:${index}`,
+            source: 'import',
+            eventType,
+            name: donation.name || 'Anonymous',
+            amount,
+            originalAmount: String(donation.amount),
+            currency: 'EUR',
+            tier: donation.tier ?? null,
+            firstPayment: donation.firstPayment === true,
+            date: donation.date || importedAt,
+        };
+    });
+
+    const carriedOverDate = events[0]?.date || importedAt;
+    for (const tally of Object.keys(listedCents)) {
+        const missingCents = Math.round((data.breakdown[tally] || 0) * 100) - listedCents[tally];
+        if (missingCents > 0) {
+            events.unshift({
+                transactionId: `import:${source}:carried-over:${tally}`,
+                source: 'carried-over',
+                eventType: eventTypes.find(type => type.tally === tally),
+                name: CARRIED_OVER_NAME,
+                amount: missingCents / 100,
+                date: carriedOverDate,
+            });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Reads the old KV blob
+ *
+ * @param {KVNamespace|undefined} kv - DONATIONS_KV binding
+ * @returns {Promise<Object>} - { total, goal, donations, breakdown }
+ */
+async function readLegacyDonations(kv) {
+    return normalizeDonationsData(kv ? await kv.get(LEGACY_DONATIONS_KEY, 'json') : null);
+}
+
+/**
+ * Adds an event to the old KV blob (read-modify-write, newest 20 entries) and remembers
+ * its transaction ID; only used until DONATIONS_DB is bound
+ *
+ * @param {KVNamespace|undefined} kv - DONATIONS_KV binding
+ * @param {Object} event - See toLedgerRow
+ * @returns {Promise<boolean>} - False if the transaction ID was recorded before
+ */
+async function appendLegacyDonation(kv, event) {
+    const transactionKey = legacyTransactionKey(event.transactionId);
+    if (!kv || await kv.get(transactionKey)) {
+        return false;
+    }
+
+    const data = await readLegacyDonations(kv);
+    const { tally, kind } = event.eventType;
+    // Use precise addition to avoid floating point errors
+    data.total = parseFloat((data.total + event.amount).toFixed(2));
+    data.breakdown[tally] = parseFloat((data.breakdown[tally] + event.amount).toFixed(2));
+
+    const entry = { name: event.name, amount: event.amount.toFixed(2), date: event.date, type: kind };
+    if (tally === 'monthly') {
+        entry.tier = event.tier ?? null;
+        entry.firstPayment = event.firstPayment === true;
+    }
+    data.donations = [entry, ...data.donations].slice(0, LEGACY_MAX_DONATIONS);
+
+    await kv.put(LEGACY_DONATIONS_KEY, JSON.stringify(data));
+    await kv.put(transactionKey, event.date, { expirationTtl: LEGACY_TRANSACTION_TTL_SECONDS });
+    return true;
+}
+
+function legacyTransactionKey(transactionId) {
+    return `kofi:transaction:${transactionId}`;
+}
+
+function insertStatement(db, event) {
+    const placeholders = LEDGER_COLUMNS.map(() => '?').join(', ');
+    return db
+        .prepare(`INSERT INTO donation_ledger (${LEDGER_COLUMNS.join(', ')}) VALUES (${placeholders}) ON CONFLICT (transaction_id) DO NOTHING`)
+        .bind(...toLedgerRow(event));
+}
@@ -0,0 +1,45 @@
+/**
+ * Donation tallies
+ *
+ * Every paid Ko-fi event is recorded with its kind and counted in one of three
+ * tallies; the progress bar shows their sum (`total`):
+ * - oneOff: Donation
+ * - monthly: Subscription (each monthly payment, the first one and renewals)
+ * - shop: Shop Order, Commission
+ *
+ * Shape of /api/donations (read from the ledger, utils/donation_ledger.js), used by the
+ * donations.js UI; the old DONATIONS_KV blob had the same shape:
+ * { total, goal, breakdown: { oneOff, monthly, shop }, donations: [{ name, amount, date, type, tier?, firstPayment? }] }
+ */
+
+/**
+ * Ko-fi `type` -> recorded kind and tally
+ */
+export const KOFI_EVENT_TYPES = {
+    'Donation': { kind: 'donation', tally: 'oneOff' },
+    'Subscription': { kind: 'subscription', tally: 'monthly' },
+    'Shop Order': { kind: 'shop', tally: 'shop' },
+    'Commission': { kind: 'commission', tally: 'shop' },
+};
+
+export const DONATION_GOAL = 99;
+
+/**
+ * Fills in fields missing from a donations blob (or creates an empty one)
+ * Data recorded before the breakdown existed only ever counted one-off donations
+ *
+ * @param {Object|null} stored - Donations blob
+ * @returns {Object} - Donations data in the shape described above
+ */
+export function normalizeDonationsData(stored) {
+    const data = {
+        total: 0,
+        goal: DONATION_GOAL,
+        donations: [],
+        ...stored,
+    };
+
+    data.breakdown = data.breakdown || { oneOff: data.total, monthly: 0, shop: 0 };
+    data.donations = data.donations.map(donation => ({ ...donation, type: donation.type || 'donation' }));
+    return data;
+}
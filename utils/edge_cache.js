@@ -0,0 +1,272 @@
+import { log } from './logger.js';
+
+/**
+ * Two-tier edge cache
+ *
+ * Lookups go through:
+ * 1. Cache API (caches.default) - colo-local, fastest, short TTL
+ * 2. SONG_CACHE KV - global, longer TTL
+ * 3. Origin loader (UniTune API)
+ *
+ * Entries are stored as `{ data, timestamp }` envelopes in both tiers and follow
+ * stale-while-revalidate: fresh entries are served directly, stale entries are
+ * served immediately and refreshed in the background via ctx.waitUntil.
+ * Tiers are filled on the way back (KV hit -> edge, origin -> KV + edge).
+ *
+ * Origin protection:
+ * - Negative caching: loaders return NOT_FOUND for 404-style results, which is
+ *   stored as a short-lived `{ notFound: true, timestamp }` entry
+ * - Coalescing: concurrent identical origin loads within an isolate share one request
+ */
+
+// Synthetic origin for Cache API keys (never fetched)
+const EDGE_CACHE_ORIGIN = 'https://cache.unitune.art';
+
+// Origin loads currently in flight, keyed by cache key (per isolate)
+const loadsInFlight = new Map();
+
+/**
+ * Sentinel a loader returns when the origin definitively has no such item
+ */
+export const NOT_FOUND = Symbol('NOT_FOUND');
+
+/**
+ * Checks whether an upstream status means "does not exist" (safe to cache negatively)
+ * Server errors and rate limits are transient and never cached
+ *
+ * @param {number} status - Upstream HTTP status
+ * @returns {boolean}
+ */
+export function isNotFoundStatus(status) {
+    return status === 400 || status === 404 || status === 410 || status === 422;
+}
+
+/**
+ * Cache policies per data source
+ * - edgeTtl: seconds an entry may live in the colo-local Cache API
+ * - freshSeconds / staleSeconds: stale-while-revalidate windows (KV TTL is their sum)
+ * - negativeTtl: seconds a NOT_FOUND result is remembered (KV minimum is 60)
+ *
+ * @param {string} name - Policy name (METADATA, API_PROXY, PLAYLIST)
+ * @param {Object} config - Worker configuration
+ * @returns {{name: string, edgeTtl: number, freshSeconds: number, staleSeconds: number, negativeTtl: number}}
+ */
+export function getCachePolicy(name, config) {
+    const policies = {
+        // Song metadata for share pages
+        METADATA: {
+            edgeTtl: 300,
+            freshSeconds: config.metadataCacheFreshSeconds,
+            staleSeconds: config.metadataCacheStaleSeconds,
+            negativeTtl: 300,
+        },
+        // /api/song proxy: shares KV entries with METADATA, shorter edge TTL
+        API_PROXY: {
+            edgeTtl: 60,
+            freshSeconds: config.metadataCacheFreshSeconds,
+            staleSeconds: config.metadataCacheStaleSeconds,
+            negativeTtl: 300,
+        },
+        // Playlists can be edited by their creator, so keep them short-lived
+        PLAYLIST: {
+            edgeTtl: 60,
+            freshSeconds: 300,
+            staleSeconds: 3600,
+            negativeTtl: 60,
+        },
+    };
+
+    return { name, ...policies[name] };
+}
+
+/**
+ * Reads a value through the edge cache, KV and the origin loader
+ *
+ * @param {string} key - Cache key (also used as KV key)
+ * @param {Object} policy - Policy from getCachePolicy
+ * @param {Function} loader - Async function returning fresh data, NOT_FOUND if the origin has no
+ *   such item, or null on a transient failure
+ * @param {Object} context
+ * @param {Object} context.config - Worker configuration
+ * @param {Object} context.env - Environment bindings (SONG_CACHE)
+ * @param {ExecutionContext} [context.ctx] - Execution context for background work
+ * @param {Function} [context.onStore] - Called after a new entry (or negative entry) was written,
+ *   e.g. to purge pages rendered from the previous one
+ * @returns {Promise<{data: any, tier: string, notFound: boolean}>} - Data (null if unavailable), the tier
+ *   that served it (edge, kv, origin; suffixed with "-stale" when served stale) and whether the
+ *   origin reported the item as not found
+ */
+export async function readThroughCache(key, policy, loader, context) {
+    const { config, env, ctx } = context;
+    let entry = await edgeGet(key);
+    let tier = 'edge';
+
+    if (!entry && env.SONG_CACHE) {
+        entry = await env.SONG_CACHE.get(key, 'json');
+        tier = 'kv';
+
+        // Fill the colo-local tier on the way back
+        if (entry && entry.timestamp) {
+            runInBackground(ctx, edgePut(key, entry, policy));
+        }
+    }
+
+    if (entry && entry.notFound) {
+        if ((Date.now() - entry.timestamp) / 1000 < policy.negativeTtl) {
+            log(config, 'info', 'Negative cache hit', { policy: policy.name, tier });
+            return { data: null, tier, notFound: true };
+        }
+        entry = null;
+    }
+
+    if (entry && entry.timestamp) {
+        const ageSeconds = (Date.now() - entry.timestamp) / 1000;
+
+        if (ageSeconds < policy.freshSeconds) {
+            log(config, 'info', 'Cache hit', { policy: policy.name, tier });
+            return { data: entry.data, tier, notFound: false };
+        }
+
+        if (ageSeconds < policy.freshSeconds + policy.staleSeconds) {
+            log(config, 'info', 'Serving stale entry, refreshing in background', {
+                policy: policy.name,
+                tier,
+                ageSeconds: Math.round(ageSeconds)
+            });
+            if (ctx && !loadsInFlight.has(key)) {
+                ctx.waitUntil(coalescedLoad(key, policy, loader, context));
+            }
+            return { data: entry.data, tier: `${tier}-stale`, notFound: false };
+        }
+    }
+
+    // Miss (or expired): wait on the origin, sharing any identical load already in flight
+    log(config, 'info', 'Cache miss', { policy: policy.name, coalesced: loadsInFlight.has(key) });
+    const result = await coalescedLoad(key, policy, loader, context);
+    return {
+        data: result === NOT_FOUND ? null : result,
+        tier: 'origin',
+        notFound: result === NOT_FOUND,
+    };
+}
+
+/**
+ * Adds the cache tier debug header to a response when debug logging is enabled
+ *
+ * @param {Response} response - The response to annotate
+ * @param {string} tier - Tier returned by readThroughCache
+ * @param {Object} config - Worker configuration
+ * @returns {Response} - Response with X-UniTune-Cache header (or the original response)
+ */
+export function withCacheDebugHeader(response, tier, config) {
+    if (!config.debugLogging || !tier) {
+        return response;
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('X-UniTune-Cache', tier);
+
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers,
+    });
+}
+
+/**
+ * Runs loadAndStore once per key and isolate; concurrent callers share the promise
+ */
+function coalescedLoad(key, policy, loader, context) {
+    let pending = loadsInFlight.get(key);
+    if (!pending) {
+        pending = loadAndStore(key, policy, loader, context)
+            .finally(() => loadsInFlight.delete(key));
+        loadsInFlight.set(key, pending);
+    }
+    return pending;
+}
+
+/**
+ * Loads data from the origin and writes it (or a negative entry) to both tiers
+ *
+ * @returns {Promise<any>} - Data, NOT_FOUND, or null on a transient failure
+ */
+async function loadAndStore(key, policy, loader, { config, env, ctx, onStore }) {
+    const data = await loader();
+    if (data == null) {
+        return null;
+    }
+
+    const notFound = data === NOT_FOUND;
+    const entry = notFound ? { notFound: true, timestamp: Date.now() } : { data, timestamp: Date.now() };
+    const kvTtl = notFound ? policy.negativeTtl : policy.freshSeconds + policy.staleSeconds;
+
+    if (env.SONG_CACHE) {
+        try {
+            await env.SONG_CACHE.put(key, JSON.stringify(entry), {
+                expirationTtl: Math.max(60, kvTtl)
+            });
+        } catch (error) {
+            log(config, 'error', 'KV cache write failed', { error: error.message });
+        }
+    }
+    runInBackground(ctx, edgePut(key, entry, policy));
+    if (onStore) {
+        runInBackground(ctx, onStore());
+    }
+
+    return data;
+}
+
+/**
+ * Reads an envelope from the Cache API (null if unavailable or missing)
+ */
+async function edgeGet(key) {
+    if (typeof caches === 'undefined') {
+        return null;
+    }
+
+    try {
+        const response = await caches.default.match(edgeCacheUrl(key));
+        return response ? await response.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Writes an envelope to the Cache API, never outliving the entry's stale (or negative) window
+ */
+async function edgePut(key, entry, policy) {
+    if (typeof caches === 'undefined') {
+        return;
+    }
+
+    const lifetimeSeconds = entry.notFound ? policy.negativeTtl : policy.freshSeconds + policy.staleSeconds;
+    const remainingSeconds = Math.floor(lifetimeSeconds - (Date.now() - entry.timestamp) / 1000);
+    const ttl = Math.min(policy.edgeTtl, remainingSeconds);
+    if (ttl <= 0) {
+        return;
+    }
+
+    try {
+        await caches.default.put(edgeCacheUrl(key), new Response(JSON.stringify(entry), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': `public, max-age=${ttl}`,
+            },
+        }));
+    } catch {
+        // Cache API unavailable (e.g. workers.dev preview), KV still has the entry
+    }
+}
+
+function edgeCacheUrl(key) {
+    return `${EDGE_CACHE_ORIGIN}/${encodeURIComponent(key)}`;
+}
+
+function runInBackground(ctx, promise) {
+    if (ctx) {
+        ctx.waitUntil(promise);
+    }
+}
@@ -0,0 +1,58 @@
+import { log } from './logger.js';
+
+/**
+ * Streamed HTML responses
+ *
+ * The shell is written to the response immediately, so the browser can start on the
+ * head, styles and skeleton while the body is still being rendered. The body is
+ * written once renderBody resolves; if it throws, renderError's fragment closes the
+ * document instead, so the visitor never sees a truncated page.
+ */
+
+/**
+ * Creates a streaming HTML response
+ *
+ * @param {string} shell - Document start (everything up to and including the skeleton)
+ * @param {Function} renderBody - async () => string, the rest of the document
+ * @param {Object} options
+ * @param {Function} options.renderError - (error) => string, closing fragment used when renderBody fails
+ * @param {Object} options.config - Worker configuration
+ * @param {ExecutionContext} [options.ctx] - Keeps the render alive if the client disconnects (so caches still fill)
+ * @param {Object} [options.headers] - Extra response headers
+ * @returns {Response}
+ */
+export function streamHtmlResponse(shell, renderBody, { renderError, config, ctx, headers = {} }) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    const rendering = (async () => {
+        try {
+            await writer.write(encoder.encode(shell));
+
+            let body;
+            try {
+                body = await renderBody();
+            } catch (error) {
+                log(config, 'error', 'Streamed render failed', { error: error.message });
+                body = renderError(error);
+            }
+
+            await writer.write(encoder.encode(body));
+            await writer.close();
+        } catch (error) {
+            // Client went away mid-stream; nothing left to write to
+            log(config, 'debug', 'Stream closed early', { error: error.message });
+            writer.abort(error).catch(() => {});
+        }
+    })();
+
+    ctx?.waitUntil(rendering);
+
+    return new Response(readable, {
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            ...headers,
+        },
+    });
+}
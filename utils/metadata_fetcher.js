@@ -1,66 +1,102 @@
 import { log } from './logger.js';
+import { canonicalizeMusicUrl } from './url_validator.js';
+import { fetchUpstream } from './upstream_client.js';
+import { getMetadataAdapters } from './upstream_adapters.js';
+import { validateMetadata } from './metadata_validator.js';
+import { readThroughCache, getCachePolicy, isNotFoundStatus, NOT_FOUND } from './edge_cache.js';
+import { purgeCachedPages } from './page_cache.js';
+
+/**
+ * Builds the metadata cache key for a music URL
+ * Uses the canonical URL so different encodings of the same song share one entry
+ * (v2: only validated metadata is cached, older entries are ignored)
+ *
+ * @param {string} musicUrl - The music URL
+ * @returns {string} - Cache key
+ */
+export function getMetadataCacheKey(musicUrl) {
+    return `metadata:v2:${canonicalizeMusicUrl(musicUrl) || musicUrl}`;
+}
 
 /**
  * Fetch and cache song metadata from UniTune API
- * Uses Base64 share link ID as cache key for efficient caching
- * 
+ * Reads through the edge cache and SONG_CACHE KV (stale-while-revalidate, negative caching
+ * and request coalescing, see edge_cache.js). Refreshing an entry purges the share pages
+ * rendered from it (see page_cache.js).
+ *
  * @param {string} musicUrl - The reconstructed music URL
- * @param {string} encodedPath - The Base64 encoded share link ID
  * @param {Object} config - Worker configuration
  * @param {Object} env - Environment bindings (KV namespaces)
- * @returns {Object|null} - Song metadata or null if not found
+ * @param {ExecutionContext} ctx - Execution context for background refreshes
+ * @returns {Promise<{data: Object|null, tier: string, notFound: boolean}>} - Song metadata (null if not found) and cache tier
  */
-export async function fetchAndCacheMetadata(musicUrl, encodedPath, config, env) {
-    // Use Base64 string as cache key (more efficient than hashing full URL)
-    const cacheKey = `metadata:${encodedPath}`;
-    
-    // Try to get from cache first
-    let metadata = null;
-    if (env.SONG_CACHE) {
-        const cached = await env.SONG_CACHE.get(cacheKey, 'json');
-        
-        if (cached && cached.timestamp && (Date.now() - cached.timestamp < 86400000)) {
-            log(config, 'info', 'Using cached metadata', {
-                cacheKey: cacheKey.substring(0, 30)
-            });
-            return cached.data;
-        }
-    }
-    
-    // Not in cache, fetch from API
-    log(config, 'info', 'Fetching metadata from API');
-    const apiUrl = `${config.unituneApiEndpoint}?url=${encodeURIComponent(musicUrl)}`;
-    
-    try {
-        const response = await fetch(apiUrl, {
-            headers: {
-                'User-Agent': 'UniTune-Worker/1.1.0 (https://unitune.art)',
+export async function fetchAndCacheMetadata(musicUrl, config, env, ctx) {
+    const cacheKey = getMetadataCacheKey(musicUrl);
+    return readThroughCache(
+        cacheKey,
+        getCachePolicy('METADATA', config),
+        async () => {
+            const result = await fetchMetadataFromApi(musicUrl, config);
+            return result.data ?? (isNotFoundStatus(result.status) ? NOT_FOUND : null);
+        },
+        { config, env, ctx, onStore: () => purgeCachedPages(cacheKey, config) }
+    );
+}
+
+/**
+ * Fetches song metadata without caching
+ * Tries each configured upstream adapter in order (see upstream_adapters.js) and fails over
+ * when one is unavailable; a not-found answer is final. Requests go through the shared
+ * upstream client (timeout, retries, circuit breaker), and every payload is validated
+ * before it is returned (and therefore before it is cached or rendered).
+ *
+ * @param {string} musicUrl - The music URL to look up
+ * @param {Object} config - Worker configuration
+ * @returns {Promise<{data: Object|null, status: number, upstream: string|null}>} - Validated metadata
+ *   (null on failure), the last upstream status and the adapter that answered
+ */
+export async function fetchMetadataFromApi(musicUrl, config) {
+    let status = 503;
+
+    for (const adapter of getMetadataAdapters(config)) {
+        log(config, 'info', 'Fetching metadata from API', { upstream: adapter.name });
+
+        const result = await fetchUpstream(adapter.buildUrl(musicUrl, config), {
+            service: adapter.service,
+            config,
+            init: {
+                headers: {
+                    'User-Agent': 'UniTune-Worker/2.2.0 (https://unitune.art)',
+                },
             },
         });
-        
-        if (response.ok) {
-            metadata = await response.json();
-            
-            // Cache the metadata
-            if (env.SONG_CACHE && metadata) {
-                await env.SONG_CACHE.put(cacheKey, JSON.stringify({
-                    data: metadata,
-                    timestamp: Date.now()
-                }), {
-                    expirationTtl: 86400 // 24 hours
-                });
-                log(config, 'info', 'Cached metadata', {
-                    cacheKey: cacheKey.substring(0, 30)
-                });
+        status = result.status;
+
+        if (result.response?.ok) {
+            const data = await readNormalized(result.response, adapter, config);
+            if (data) {
+                return { data, status, upstream: adapter.name };
             }
-            
-            return metadata;
-        } else {
-            log(config, 'warn', 'API error', { status: response.status });
-            return null;
+            // Unusable or invalid payload: treat like an outage and try the next upstream
+            status = 502;
+            continue;
+        }
+
+        log(config, 'warn', 'API error', { upstream: adapter.name, status });
+        if (isNotFoundStatus(status)) {
+            return { data: null, status, upstream: adapter.name };
         }
+    }
+
+    return { data: null, status, upstream: null };
+}
+
+async function readNormalized(response, adapter, config) {
+    try {
+        const payload = adapter.normalize(await response.json());
+        return payload && validateMetadata(payload, { config, source: adapter.name });
     } catch (error) {
-        log(config, 'error', 'Fetch error', { error: error.message });
+        log(config, 'error', 'Invalid API response', { upstream: adapter.name, error: error.message });
         return null;
     }
 }
@@ -0,0 +1,173 @@
+import { parseMusicUrl } from './url_validator.js';
+
+/**
+ * Display model for song metadata
+ *
+ * Upstream metadata contains one entity per platform, in no particular order.
+ * The model picks the entity for the platform the link was shared from and
+ * derives the title/subtitle shown by every renderer (bot page, client page and
+ * the browser script via /api/song), so they can't disagree.
+ */
+
+/**
+ * parseMusicUrl platform -> linksByPlatform / entity.platforms key
+ */
+const PLATFORM_KEYS = {
+    spotify: 'spotify',
+    applemusic: 'appleMusic',
+    tidal: 'tidal',
+    youtubemusic: 'youtubeMusic',
+    youtube: 'youtube',
+    deezer: 'deezer',
+    amazonmusic: 'amazonMusic',
+    soundcloud: 'soundcloud',
+    bandcamp: 'bandcamp',
+    qobuz: 'qobuz',
+    pandora: 'pandora',
+    audiomack: 'audiomack',
+    napster: 'napster',
+};
+
+/**
+ * Entity providers from most to least trustworthy metadata
+ * (YouTube last: upload titles often carry "(Official Video)" and similar noise)
+ */
+const PROVIDER_RANKING = [
+    'spotify',
+    'itunes',
+    'tidal',
+    'deezer',
+    'amazon',
+    'qobuz',
+    'napster',
+    'pandora',
+    'soundcloud',
+    'bandcamp',
+    'audiomack',
+    'youtube',
+];
+
+/**
+ * Title and subtitle rules per entity type
+ */
+const DISPLAY_RULES = {
+    artist: (entity) => ({
+        title: entity.name || entity.artistName || entity.title || 'Unknown Artist',
+        subtitle: 'Artist',
+    }),
+    album: (entity) => ({
+        title: entity.title || 'Unknown Album',
+        subtitle: entity.artistName || 'Unknown Artist',
+    }),
+    playlist: (entity) => ({
+        title: entity.title || entity.name || 'Unknown Playlist',
+        subtitle: entity.artistName || 'Playlist',
+    }),
+    track: (entity) => ({
+        title: entity.title || 'Unknown Song',
+        subtitle: entity.artistName || 'Unknown Artist',
+    }),
+};
+
+/**
+ * Upstream entity types mapped to DISPLAY_RULES keys
+ */
+const TYPE_ALIASES = {
+    song: 'track',
+    video: 'track',
+};
+
+/**
+ * Builds the display model for a share page
+ *
+ * @param {Object|null} metadata - Validated metadata (entitiesByUniqueId/linksByPlatform shape)
+ * @param {string} musicUrl - The shared music URL (decides which entity is the source)
+ * @returns {{type: string, title: string, subtitle: string, thumbnailUrl: string, entityUniqueId: string|null}}
+ */
+export function getMetadataModel(metadata, musicUrl) {
+    const entitiesByUniqueId = metadata?.entitiesByUniqueId || {};
+    const entityUniqueId = selectEntityId(metadata, musicUrl);
+    const entity = entitiesByUniqueId[entityUniqueId] || {};
+
+    const rawType = entity.type || 'song';
+    const type = TYPE_ALIASES[rawType] || (DISPLAY_RULES[rawType] ? rawType : 'track');
+    const { title, subtitle } = DISPLAY_RULES[type](entity);
+
+    return {
+        type,
+        title,
+        subtitle,
+        thumbnailUrl: entity.thumbnailUrl || findFallbackThumbnail(entitiesByUniqueId, rawType),
+        entityUniqueId: entityUniqueId || null,
+    };
+}
+
+/**
+ * Picks the source entity:
+ * 1. The entity behind the shared platform's link (or with the shared ID on that platform)
+ * 2. Any entity from the shared platform
+ * 3. Otherwise the best entity by quality ranking (not the upstream's entityUniqueId,
+ *    which can point at a noisy YouTube upload)
+ *
+ * @returns {string|null} - Key into entitiesByUniqueId
+ */
+function selectEntityId(metadata, musicUrl) {
+    const entitiesByUniqueId = metadata?.entitiesByUniqueId || {};
+    const ranked = rankEntities(entitiesByUniqueId);
+    if (ranked.length === 0) {
+        return null;
+    }
+
+    const shared = parseMusicUrl(musicUrl);
+    const platformKey = shared ? PLATFORM_KEYS[shared.platform] : null;
+
+    if (platformKey) {
+        const linkedId = metadata.linksByPlatform?.[platformKey]?.entityUniqueId;
+        if (linkedId && entitiesByUniqueId[linkedId]) {
+            return linkedId;
+        }
+
+        const onPlatform = ranked.filter(([, entity]) => entity.platforms?.includes(platformKey));
+        const exactMatch = onPlatform.find(([, entity]) => entity.id === shared.id);
+        if (exactMatch || onPlatform.length > 0) {
+            return (exactMatch || onPlatform[0])[0];
+        }
+    }
+
+    return ranked[0][0];
+}
+
+/**
+ * Sorts entities by completeness, then by provider ranking
+ *
+ * @returns {Array<[string, Object]>} - [entityUniqueId, entity] pairs, best first
+ */
+function rankEntities(entitiesByUniqueId) {
+    return Object.entries(entitiesByUniqueId)
+        .map(([key, entity]) => [key, entity, getQualityScore(entity), getProviderRank(entity)])
+        .sort((a, b) => b[2] - a[2] || a[3] - b[3])
+        .map(([key, entity]) => [key, entity]);
+}
+
+function getQualityScore(entity) {
+    let score = 0;
+    if (entity.title || entity.name) score += 4;
+    if (entity.artistName) score += 2;
+    if (entity.thumbnailUrl) score += 2;
+    if (entity.thumbnailWidth >= 500) score += 1;
+    return score;
+}
+
+function getProviderRank(entity) {
+    const rank = PROVIDER_RANKING.indexOf(entity.apiProvider);
+    return rank === -1 ? PROVIDER_RANKING.length : rank;
+}
+
+/**
+ * Artwork of the best-ranked entity of the same type, for sources without a thumbnail
+ */
+function findFallbackThumbnail(entitiesByUniqueId, type) {
+    const match = rankEntities(entitiesByUniqueId)
+        .find(([, entity]) => entity.type === type && entity.thumbnailUrl);
+    return match ? match[1].thumbnailUrl : '';
+}
@@ -0,0 +1,300 @@
+import { log } from './logger.js';
+import { isValidThumbnailUrl, normalizeMusicUrl } from './url_validator.js';
+import { SERVICE_LINK_HOSTS } from '../constants/services.js';
+
+/**
+ * Upstream payload validation
+ *
+ * Every metadata and playlist payload is validated before it is cached or rendered.
+ * Output contains only the fields the renderers use, with:
+ * - Text trimmed, stripped of control characters and length-limited
+ * - Thumbnails restricted to trusted HTTPS CDNs (isValidThumbnailUrl)
+ * - Platform links restricted to HTTPS URLs on that platform's hosts (SERVICE_LINK_HOSTS)
+ * Invalid entities and links are dropped; unknown fields and platforms are stripped.
+ * Validation failures are logged and kept in a small per-isolate buffer for debugging.
+ */
+
+const MAX_TEXT_LENGTH = 300;
+const MAX_KEY_LENGTH = 200;
+const MAX_PLAYLIST_TRACKS = 500;
+const RECENT_FAILURE_LIMIT = 20;
+
+const ENTITY_TYPES = ['song', 'track', 'album', 'artist', 'playlist', 'video'];
+
+// Latest validation failures (per isolate), newest first
+const recentFailures = [];
+
+/**
+ * Validates and sanitizes song metadata (entitiesByUniqueId/linksByPlatform shape)
+ *
+ * @param {Object} payload - Normalized upstream payload
+ * @param {Object} context
+ * @param {Object} context.config - Worker configuration
+ * @param {string} context.source - Where the payload came from (for failure records)
+ * @returns {Object|null} - Sanitized metadata, or null if nothing usable is left
+ */
+export function validateMetadata(payload, { config, source }) {
+    const issues = [];
+
+    if (!isPlainObject(payload)) {
+        recordFailure(source, ['payload: not an object'], true, config);
+        return null;
+    }
+
+    const entitiesByUniqueId = {};
+    if (isPlainObject(payload.entitiesByUniqueId)) {
+        for (const [key, entity] of Object.entries(payload.entitiesByUniqueId)) {
+            const sanitized = sanitizeEntity(key, entity, issues);
+            if (sanitized) {
+                entitiesByUniqueId[key] = sanitized;
+            }
+        }
+    } else if (payload.entitiesByUniqueId !== undefined) {
+        issues.push('entitiesByUniqueId: not an object');
+    }
+
+    const linksByPlatform = {};
+    if (isPlainObject(payload.linksByPlatform)) {
+        for (const [platform, link] of Object.entries(payload.linksByPlatform)) {
+            // Platforms we don't render are stripped silently
+            if (!SERVICE_LINK_HOSTS[platform]) {
+                continue;
+            }
+            const sanitized = sanitizeLink(platform, link, entitiesByUniqueId, issues);
+            if (sanitized) {
+                linksByPlatform[platform] = sanitized;
+            }
+        }
+    } else if (payload.linksByPlatform !== undefined) {
+        issues.push('linksByPlatform: not an object');
+    }
+
+    const isEmpty = Object.keys(entitiesByUniqueId).length === 0 && Object.keys(linksByPlatform).length === 0;
+    if (issues.length > 0 || isEmpty) {
+        recordFailure(source, isEmpty ? [...issues, 'payload: no usable entities or links'] : issues, isEmpty, config);
+    }
+    if (isEmpty) {
+        return null;
+    }
+
+    return {
+        entityUniqueId: entitiesByUniqueId[payload.entityUniqueId] ? payload.entityUniqueId : null,
+        entitiesByUniqueId,
+        linksByPlatform,
+    };
+}
+
+/**
+ * Validates and sanitizes a playlist payload
+ *
+ * @param {Object} payload - Upstream playlist JSON
+ * @param {Object} context
+ * @param {Object} context.config - Worker configuration
+ * @param {string} context.source - Where the payload came from (for failure records)
+ * @returns {Object|null} - Sanitized playlist ({title, description, creatorNickname, tracks}) or null if invalid
+ */
+export function validatePlaylist(payload, { config, source }) {
+    if (!isPlainObject(payload)) {
+        recordFailure(source, ['payload: not an object'], true, config);
+        return null;
+    }
+
+    const issues = [];
+    const tracks = [];
+    const rawTracks = Array.isArray(payload.tracks) ? payload.tracks : [];
+
+    if (payload.tracks !== undefined && !Array.isArray(payload.tracks)) {
+        issues.push('tracks: not an array');
+    }
+    if (rawTracks.length > MAX_PLAYLIST_TRACKS) {
+        issues.push(`tracks: truncated to ${MAX_PLAYLIST_TRACKS}`);
+    }
+
+    rawTracks.slice(0, MAX_PLAYLIST_TRACKS).forEach((track, index) => {
+        if (!isPlainObject(track)) {
+            issues.push(`tracks[${index}]: not an object`);
+            return;
+        }
+
+        const sanitized = {
+            title: sanitizeText(track.title),
+            artist: sanitizeText(track.artist),
+        };
+
+        if (track.thumbnailUrl != null) {
+            if (isValidThumbnailUrl(track.thumbnailUrl)) {
+                sanitized.thumbnailUrl = new URL(track.thumbnailUrl).href;
+            } else {
+                issues.push(`tracks[${index}].thumbnailUrl: untrusted`);
+            }
+        }
+
+        if (track.originalUrl != null) {
+            const originalUrl = typeof track.originalUrl === 'string' ? normalizeMusicUrl(track.originalUrl) : null;
+            if (originalUrl) {
+                sanitized.originalUrl = originalUrl;
+            } else {
+                issues.push(`tracks[${index}].originalUrl: not a music platform URL`);
+            }
+        }
+
+        tracks.push(sanitized);
+    });
+
+    if (issues.length > 0) {
+        recordFailure(source, issues, false, config);
+    }
+
+    return {
+        title: sanitizeText(payload.title),
+        description: sanitizeText(payload.description),
+        creatorNickname: sanitizeText(payload.creatorNickname),
+        tracks,
+    };
+}
+
+/**
+ * Latest validation failures in this isolate (newest first)
+ *
+ * @returns {Array<{timestamp: string, source: string, rejected: boolean, issues: string[]}>}
+ */
+export function getRecentValidationFailures() {
+    return recentFailures.slice();
+}
+
+function sanitizeEntity(key, entity, issues) {
+    const path = `entitiesByUniqueId[${truncate(key, 60)}]`;
+
+    if (key.length > MAX_KEY_LENGTH || !isPlainObject(entity)) {
+        issues.push(`${path}: invalid entry`);
+        return null;
+    }
+
+    const id = typeof entity.id === 'number' ? String(entity.id) : sanitizeText(entity.id);
+    if (!id) {
+        issues.push(`${path}.id: missing`);
+        return null;
+    }
+    if (!ENTITY_TYPES.includes(entity.type)) {
+        issues.push(`${path}.type: unsupported`);
+        return null;
+    }
+
+    const sanitized = { id, type: entity.type };
+    for (const field of ['title', 'name', 'artistName']) {
+        const text = sanitizeText(entity[field]);
+        if (text) {
+            sanitized[field] = text;
+        }
+    }
+    if (!sanitized.title && !sanitized.name) {
+        issues.push(`${path}: missing title`);
+        return null;
+    }
+
+    if (entity.thumbnailUrl != null) {
+        if (isValidThumbnailUrl(entity.thumbnailUrl)) {
+            sanitized.thumbnailUrl = new URL(entity.thumbnailUrl).href;
+            for (const field of ['thumbnailWidth', 'thumbnailHeight']) {
+                if (Number.isInteger(entity[field]) && entity[field] > 0) {
+                    sanitized[field] = entity[field];
+                }
+            }
+        } else {
+            issues.push(`${path}.thumbnailUrl: untrusted`);
+        }
+    }
+
+    if (typeof entity.apiProvider === 'string' && /^[A-Za-z]{1,40}$/.test(entity.apiProvider)) {
+        sanitized.apiProvider = entity.apiProvider;
+    }
+    if (Array.isArray(entity.platforms)) {
+        sanitized.platforms = entity.platforms.filter(platform => typeof platform === 'string' && /^[A-Za-z]{1,40}$/.test(platform));
+    }
+
+    return sanitized;
+}
+
+function sanitizeLink(platform, link, entitiesByUniqueId, issues) {
+    const path = `linksByPlatform.${platform}`;
+
+    if (!isPlainObject(link)) {
+        issues.push(`${path}: invalid entry`);
+        return null;
+    }
+    if (!isAllowedPlatformUrl(platform, link.url)) {
+        issues.push(`${path}.url: not an https URL on an allowed host`);
+        return null;
+    }
+
+    const sanitized = { url: new URL(link.url).href };
+    if (typeof link.entityUniqueId === 'string' && entitiesByUniqueId[link.entityUniqueId]) {
+        sanitized.entityUniqueId = link.entityUniqueId;
+    }
+    return sanitized;
+}
+
+/**
+ * Checks that a URL is HTTPS, carries no credentials or port and is on one of the platform's hosts
+ */
+function isAllowedPlatformUrl(platform, url) {
+    if (typeof url !== 'string' || url.length > 2048) {
+        return false;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password || parsed.port) {
+        return false;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    return SERVICE_LINK_HOSTS[platform].some(host => host.startsWith('.')
+        ? hostname === host.substring(1) || hostname.endsWith(host)
+        : hostname === host);
+}
+
+/**
+ * Normalizes a text field: strings only, control characters removed, trimmed and length-limited
+ *
+ * @returns {string|null}
+ */
+function sanitizeText(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const text = value.replace(/[\u0000-\u001F\u007F-\u009F\u2028\u2029]/g, ' ').trim();
+    return text ? truncate(text, MAX_TEXT_LENGTH) : null;
+}
+
+function truncate(text, length) {
+    return text.length > length ? text.substring(0, length) : text;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Logs a validation failure and keeps it for debugging (issue paths only, never payload values)
+ */
+function recordFailure(source, issues, rejected, config) {
+    recentFailures.unshift({
+        timestamp: new Date().toISOString(),
+        source,
+        rejected,
+        issues: issues.slice(0, 20),
+    });
+    recentFailures.length = Math.min(recentFailures.length, RECENT_FAILURE_LIMIT);
+
+    log(config, 'warn', rejected ? 'Upstream payload rejected' : 'Upstream payload sanitized', {
+        source,
+        issueCount: issues.length,
+        issues: issues.slice(0, 5).join('; ')
+    });
+}
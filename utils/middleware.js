@@ -0,0 +1,131 @@
+import { log } from './logger.js';
+import { addSecurityHeaders } from '../security/headers.js';
+import { addCacheHeaders, CACHE_CONFIG } from '../security/cache_headers.js';
+import {
+    RateLimiter,
+    getClientIp,
+    getRateLimitKey,
+    getRateLimitSecret,
+    isRateLimitExempt,
+    getRateLimitHeaders,
+    createRateLimitResponse
+} from '../security/rate_limiter.js';
+
+/**
+ * Router middleware
+ *
+ * Each middleware applies one of the policies a route declares in config/routes.js.
+ * Order (outermost first, see worker.js): security headers, CORS, rate limit, cache,
+ * so 429s and 405s still carry security and CORS headers.
+ */
+
+/**
+ * CORS policies
+ */
+export const CORS_POLICIES = {
+    // Only the UniTune site (the share page script calls /api/song)
+    SITE: {
+        origin: 'https://unitune.art',
+        allowHeaders: 'Content-Type',
+        maxAge: 86400,
+    },
+
+    // Any origin: public read-only data and link creation (homepage, extensions, bots)
+    PUBLIC: {
+        origin: '*',
+        allowHeaders: 'Content-Type',
+        maxAge: 86400,
+    },
+};
+
+const rateLimiter = new RateLimiter();
+
+/**
+ * Applies the route's security header profile to every response
+ */
+export async function securityHeadersMiddleware({ route }, next) {
+    return addSecurityHeaders(await next(), route.securityHeaders);
+}
+
+/**
+ * Adds the route's CORS headers; OPTIONS responses become preflight responses
+ * (allowed methods taken from the router's Allow header)
+ */
+export async function corsMiddleware({ request, route }, next) {
+    const response = await next();
+    const policy = route.cors;
+    if (!policy) {
+        return response;
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('Access-Control-Allow-Origin', policy.origin);
+    // Lets cross-origin scripts see their remaining quota
+    headers.set('Access-Control-Expose-Headers', 'RateLimit, RateLimit-Policy, Retry-After');
+    if (request.method === 'OPTIONS') {
+        headers.set('Access-Control-Allow-Methods', response.headers.get('Allow') || 'GET, OPTIONS');
+        headers.set('Access-Control-Allow-Headers', policy.allowHeaders);
+        headers.set('Access-Control-Max-Age', String(policy.maxAge));
+    }
+
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
+/**
+ * Token bucket per client (salted IP hash) and RATE_LIMIT_POLICIES entry, for routes with a rateLimit policy
+ * Every response of a limited route carries RateLimit-Policy / RateLimit headers
+ * Skipped for preflights, allowlisted clients, when neither the RATE_LIMITER Durable Object
+ * nor the RATE_LIMIT KV namespace is bound, and when neither can be reached for the client key
+ * secret (getRateLimitSecret: RATE_LIMIT_SECRET, or one generated and stored per deployment)
+ */
+export async function rateLimitMiddleware({ request, route, config, env }, next) {
+    const policy = route.rateLimit;
+    const stores = { durableObject: env.RATE_LIMITER, kv: env.RATE_LIMIT };
+    if (!policy || request.method === 'OPTIONS' || !(stores.durableObject || stores.kv) || isRateLimitExempt(request, config)) {
+        return next();
+    }
+
+    const secret = await getRateLimitSecret(config, stores);
+    if (!secret) {
+        // Neither store reachable: checkLimit would fail open as well
+        log(config, 'error', 'No rate limit secret available, skipping rate limiting');
+        return next();
+    }
+
+    const clientKey = await getRateLimitKey(getClientIp(request, config), secret);
+    const rateLimitResult = await rateLimiter.checkLimit(clientKey, stores, policy);
+    if (!rateLimitResult.allowed) {
+        return createRateLimitResponse(request, rateLimitResult, policy);
+    }
+
+    const response = await next();
+    const headers = new Headers(response.headers);
+    for (const [name, value] of Object.entries(getRateLimitHeaders(rateLimitResult, policy))) {
+        headers.set(name, value);
+    }
+
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
+/**
+ * Default Cache-Control for responses that don't set their own:
+ * the route's cache policy for successful responses, CACHE_CONFIG.ERROR_PAGES for errors
+ * (preflight responses are cached by Access-Control-Max-Age instead)
+ */
+export async function cachePolicyMiddleware({ request, route }, next) {
+    const response = await next();
+    if (request.method === 'OPTIONS' || response.headers.has('Cache-Control')) {
+        return response;
+    }
+
+    const cacheConfig = response.status >= 400 ? CACHE_CONFIG.ERROR_PAGES : route.cache;
+    return cacheConfig ? addCacheHeaders(response, cacheConfig) : response;
+}
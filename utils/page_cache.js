@@ -0,0 +1,212 @@
+import { log } from './logger.js';
+import { addCacheHeaders, CACHE_CONFIG } from '../security/cache_headers.js';
+import { getConditionalResponse, formatHttpDate } from '../security/conditional_requests.js';
+
+/**
+ * Whole-page cache for share (/s/) and playlist (/p/) pages
+ *
+ * Rendered pages are kept in the colo-local Cache API, keyed by path and rendering
+ * variant (bot page vs client page, plus the visitor's country when the page has
+ * storefront-localized links). Pages carry a strong ETag computed once at render time
+ * and the render time as Last-Modified, so hits are answered without re-rendering or
+ * re-hashing, and conditional requests get a 304 (or 412) per RFC 9110.
+ *
+ * Country variants: the country-neutral key holds either the page itself or a marker
+ * saying the page varies by country, in which case the lookup continues at the
+ * country key.
+ *
+ * Browsers get the page with a private Cache-Control: the copy in this cache is keyed by
+ * variant, but the request headers that pick it (User-Agent, country) can't be expressed
+ * as a Vary that shared caches downstream would honor.
+ *
+ * Purging: every stored page is recorded in an index keyed by the metadata (or playlist)
+ * cache key it was rendered from. When that entry is refreshed, edge_cache.js calls back
+ * and the indexed pages are deleted. The Cache API is colo-local, so other colos drop
+ * their copies when the page TTL (never longer than the source's fresh window) runs out.
+ */
+
+// Synthetic origin for page cache keys (never fetched)
+const PAGE_CACHE_ORIGIN = 'https://cache.unitune.art/page';
+const PAGE_INDEX_ORIGIN = 'https://cache.unitune.art/page-index';
+
+// Marker header on the country-neutral key of pages that vary by country
+const VARY_MARKER_HEADER = 'X-UniTune-Page-Vary';
+
+// Upper bound on pages remembered per source entry (path encodings x variants)
+const MAX_INDEXED_PAGES = 100;
+
+/**
+ * Cache configuration for pages rendered from a cached source
+ * CACHE_CONFIG.SHARE_PAGES, shortened to the source policy's fresh window if that is shorter
+ * (playlists), so a cached page never outlives the data it was rendered from
+ *
+ * @param {Object} policy - Source policy from getCachePolicy (METADATA, PLAYLIST)
+ * @returns {{maxAge: number, directive: string, includeETag: boolean}}
+ */
+export function getPageCacheConfig(policy) {
+    const maxAge = Math.min(CACHE_CONFIG.SHARE_PAGES.maxAge, policy.freshSeconds);
+    if (maxAge === CACHE_CONFIG.SHARE_PAGES.maxAge) {
+        return CACHE_CONFIG.SHARE_PAGES;
+    }
+    return { ...CACHE_CONFIG.SHARE_PAGES, maxAge, directive: `public, max-age=${maxAge}` };
+}
+
+/**
+ * Looks up a cached page
+ *
+ * @param {string} pathname - Request path (/s/..., /p/...)
+ * @param {Object} variant
+ * @param {boolean} variant.bot - Bot (server-side rendered) page
+ * @param {string|null} variant.country - Visitor country from getVisitorCountry
+ * @returns {Promise<Response|null>} - Cached page or null on a miss
+ */
+export async function matchCachedPage(pathname, { bot, country }) {
+    if (typeof caches === 'undefined') {
+        return null;
+    }
+
+    try {
+        const cached = await caches.default.match(pageCacheUrl(pathname, bot, undefined));
+        if (!cached || !cached.headers.has(VARY_MARKER_HEADER)) {
+            return cached || null;
+        }
+        return (await caches.default.match(pageCacheUrl(pathname, bot, country))) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Adds Cache-Control, Last-Modified and a strong ETag to a freshly rendered page and stores it
+ * Only 200 pages are cached; other responses are returned unchanged
+ *
+ * @param {Response} response - Rendered page
+ * @param {Object} options
+ * @param {string} options.pathname - Request path
+ * @param {boolean} options.bot - Bot (server-side rendered) page
+ * @param {string|null} options.country - Visitor country from getVisitorCountry
+ * @param {boolean} options.variesByCountry - The page has storefront-localized links
+ * @param {string} options.sourceKey - Cache key of the metadata/playlist entry the page was rendered from
+ * @param {Object} options.cacheConfig - From getPageCacheConfig
+ * @param {Object} options.config - Worker configuration
+ * @param {ExecutionContext} [options.ctx] - Execution context for the background cache writes
+ * @returns {Promise<Response>} - The page with cache headers
+ */
+export async function storeCachedPage(response, { pathname, bot, country, variesByCountry, sourceKey, cacheConfig, config, ctx }) {
+    if (response.status !== 200) {
+        return response;
+    }
+
+    const html = await response.text();
+    const page = await addCacheHeaders(new Response(html, response), cacheConfig, html);
+    page.headers.set('Last-Modified', formatHttpDate(Date.now()));
+
+    if (typeof caches !== 'undefined' && ctx) {
+        ctx.waitUntil(writePage(page.clone(), { pathname, bot, country, variesByCountry, sourceKey, cacheConfig, config }));
+    }
+
+    return page;
+}
+
+/**
+ * Answers a request from a page, honoring conditional request headers
+ * The page's shared Cache-Control (kept on the cached copy) becomes private
+ *
+ * @param {Request} request - The incoming request
+ * @param {Response} page - Page from matchCachedPage or storeCachedPage
+ * @returns {Response} - 304/412 or the page
+ */
+export function respondWithPage(request, page) {
+    const headers = new Headers(page.headers);
+    const cacheControl = headers.get('Cache-Control');
+    if (cacheControl) {
+        headers.set('Cache-Control', cacheControl.replace(/\bpublic\b/, 'private'));
+    }
+
+    const validators = {
+        etag: headers.get('ETag'),
+        lastModified: headers.get('Last-Modified'),
+    };
+    return getConditionalResponse(request, validators, headers) || new Response(page.body, {
+        status: page.status,
+        statusText: page.statusText,
+        headers,
+    });
+}
+
+/**
+ * Deletes every cached page rendered from a source entry (called when the entry is refreshed)
+ *
+ * @param {string} sourceKey - Metadata/playlist cache key
+ * @param {Object} config - Worker configuration
+ */
+export async function purgeCachedPages(sourceKey, config) {
+    if (typeof caches === 'undefined') {
+        return;
+    }
+
+    try {
+        const urls = await readIndex(sourceKey);
+        await Promise.all(urls.map(url => caches.default.delete(url)));
+        await caches.default.delete(pageIndexUrl(sourceKey));
+
+        if (urls.length > 0) {
+            log(config, 'info', 'Purged cached pages', { count: urls.length });
+        }
+    } catch (error) {
+        log(config, 'error', 'Page cache purge failed', { error: error.message });
+    }
+}
+
+async function writePage(page, { pathname, bot, country, variesByCountry, sourceKey, cacheConfig, config }) {
+    const neutralUrl = pageCacheUrl(pathname, bot, undefined);
+    const urls = [neutralUrl];
+
+    try {
+        if (variesByCountry) {
+            const countryUrl = pageCacheUrl(pathname, bot, country);
+            urls.push(countryUrl);
+            await caches.default.put(countryUrl, page);
+            await caches.default.put(neutralUrl, new Response(null, {
+                headers: {
+                    [VARY_MARKER_HEADER]: 'country',
+                    'Cache-Control': cacheConfig.directive,
+                },
+            }));
+        } else {
+            await caches.default.put(neutralUrl, page);
+        }
+
+        const indexed = await readIndex(sourceKey);
+        const merged = [...new Set([...urls, ...indexed])].slice(0, MAX_INDEXED_PAGES);
+        await caches.default.put(pageIndexUrl(sourceKey), new Response(JSON.stringify(merged), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': cacheConfig.directive,
+            },
+        }));
+    } catch (error) {
+        // Cache API unavailable (e.g. workers.dev preview); pages are rendered on every request
+        log(config, 'debug', 'Page cache write failed', { error: error.message });
+    }
+}
+
+async function readIndex(sourceKey) {
+    const response = await caches.default.match(pageIndexUrl(sourceKey));
+    return response ? await response.json() : [];
+}
+
+/**
+ * country: undefined for the country-neutral key, null for visitors with an unknown country
+ */
+function pageCacheUrl(pathname, bot, country) {
+    const params = new URLSearchParams({ variant: bot ? 'bot' : 'client' });
+    if (country !== undefined) {
+        params.set('country', country || 'none');
+    }
+    return `${PAGE_CACHE_ORIGIN}${pathname}?${params}`;
+}
+
+function pageIndexUrl(sourceKey) {
+    return `${PAGE_INDEX_ORIGIN}/${encodeURIComponent(sourceKey)}`;
+}
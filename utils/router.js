@@ -0,0 +1,134 @@
+/**
+ * Declarative router
+ *
+ * Routes are plain objects (see config/routes.js): methods, a path pattern, the policies
+ * the middleware reads (rateLimit, cors, cache, securityHeaders) and a handler. A request
+ * runs through the global middleware, then the route's own middleware, then the handler.
+ *
+ * Handled here rather than by each route:
+ * - HEAD is answered from the GET handler, with the body dropped
+ * - OPTIONS gets a 204 with Allow (the CORS middleware turns it into a preflight response)
+ * - A path that matches but not for this method gets a 405 with Allow
+ *
+ * Middleware: async (context, next) => Response
+ * context: { request, url, params, route, config, env, ctx }
+ */
+
+/**
+ * Compiles a path pattern into a matcher
+ * - Literal segments match exactly: /api/song
+ * - :name matches one segment: /p/:id
+ * - :name+ matches one or more segments (rest of the path): /s/:encoded+
+ *
+ * @param {string} pattern - Path pattern
+ * @returns {Function} - (pathname) => params object, or null if the path doesn't match
+ */
+export function compilePath(pattern) {
+    const keys = [];
+    const source = pattern.split('/').map(segment => {
+        const param = segment.match(/^:(\w+)(\+?)$/);
+        if (!param) {
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        keys.push(param[1]);
+        return param[2] ? '(.+)' : '([^/]+)';
+    }).join('/');
+    const regex = new RegExp(`^${source}$`);
+
+    return (pathname) => {
+        const match = regex.exec(pathname);
+        if (!match) {
+            return null;
+        }
+        return Object.fromEntries(keys.map((key, i) => [key, match[i + 1]]));
+    };
+}
+
+/**
+ * Creates a request handler from a route table
+ *
+ * @param {Array<Object>} routes - Route definitions (first match wins)
+ * @param {Object} options
+ * @param {Array<Function>} [options.middleware] - Middleware run for every matched route, outermost first
+ * @param {Function} options.notFound - (context) => Response for paths no route matches
+ * @param {Function} options.methodNotAllowed - (context, allow) => Response; allow is the Allow header value
+ * @returns {Function} - async (request, { config, env, ctx }) => Response
+ */
+export function createRouter(routes, { middleware = [], notFound, methodNotAllowed }) {
+    const table = routes.map(route => ({
+        ...route,
+        methods: route.methods.map(method => method.toUpperCase()),
+        match: compilePath(route.path),
+    }));
+
+    return async function handleRequest(request, { config, env, ctx }) {
+        const url = new URL(request.url);
+        const method = request.method.toUpperCase();
+        const context = { request, url, params: {}, route: null, config, env, ctx };
+
+        const candidates = [];
+        for (const route of table) {
+            const params = route.match(url.pathname);
+            if (params) {
+                candidates.push({ route, params });
+            }
+        }
+        if (candidates.length === 0) {
+            return notFound(context);
+        }
+
+        const allowed = new Set(candidates.flatMap(({ route }) => getAllowedMethods(route)));
+        const allow = [...allowed].join(', ');
+
+        const found = candidates.find(({ route }) => getAllowedMethods(route).includes(method)) || candidates[0];
+        context.route = found.route;
+        context.params = found.params;
+
+        let handler;
+        if (found.route.methods.includes(method)) {
+            handler = found.route.handler;
+        } else if (method === 'HEAD' && allowed.has('HEAD')) {
+            // Run the GET handler; the body is dropped below
+            context.request = new Request(request, { method: 'GET' });
+            handler = found.route.handler;
+        } else if (method === 'OPTIONS') {
+            handler = () => new Response(null, { status: 204, headers: { 'Allow': allow } });
+        } else {
+            handler = (current) => methodNotAllowed(current, allow);
+        }
+
+        const response = await compose([...middleware, ...(found.route.middleware || [])], handler)(context);
+
+        if (method === 'HEAD' && !found.route.methods.includes('HEAD')) {
+            response.body?.cancel().catch(() => {});
+            return new Response(null, response);
+        }
+        return response;
+    };
+}
+
+/**
+ * Methods a route answers: its own, HEAD when it has GET, and OPTIONS
+ */
+function getAllowedMethods(route) {
+    const methods = [...route.methods];
+    if (methods.includes('GET') && !methods.includes('HEAD')) {
+        methods.push('HEAD');
+    }
+    if (!methods.includes('OPTIONS')) {
+        methods.push('OPTIONS');
+    }
+    return methods;
+}
+
+/**
+ * Chains middleware around a handler; each middleware calls next() to continue
+ */
+function compose(middleware, handler) {
+    return (context) => {
+        const dispatch = (index) => index < middleware.length
+            ? middleware[index](context, () => dispatch(index + 1))
+            : handler(context);
+        return dispatch(0);
+    };
+}
@@ -0,0 +1,383 @@
+/**
+ * Share Link Codec
+ *
+ * Encodes and decodes the path segment of UniTune share links (/s/{code}).
+ * The app, the homepage and the worker all use this format, so any change
+ * here must stay backwards compatible with links already in circulation.
+ *
+ * Formats:
+ * - Unprefixed (legacy): Base64URL of `platform:type:id[:nickname]`, treated as v1
+ * - Unprefixed (legacy, version 0): Base64URL of a full music URL, produced by
+ *   older app builds and hand-made links. Decoded as `{ version: 0, url }`; the
+ *   caller is responsible for validating the URL.
+ * - v1: `v1.` + Base64URL of `platform[.storefront]:type:id[:nickname]`
+ * - v2: `v2.` + Base64URL of a compact binary payload with typed fields:
+ *     [platform u8][type u8][idLength u8][id][nicknameLength u8][nickname][storefrontLength u8][storefront][crc16 u16]
+ *   The storefront field is optional (left out when there is none, and in links made before it existed)
+ *
+ * The storefront is the country code of Apple Music / Amazon Music links (music.apple.com/de/...);
+ * without it those links reconstruct to the default storefront.
+ *
+ * Decoding never throws. Both functions return either
+ * `{ ok: true, ... }` or `{ ok: false, error: { code, message } }`.
+ */
+
+/**
+ * Error codes returned by encodeShareLink / decodeShareLink
+ */
+export const SHARE_CODEC_ERRORS = {
+    EMPTY: 'EMPTY',
+    INVALID_ENCODING: 'INVALID_ENCODING',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    MALFORMED_PAYLOAD: 'MALFORMED_PAYLOAD',
+    CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+    UNSUPPORTED_PLATFORM: 'UNSUPPORTED_PLATFORM',
+    UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+    INVALID_ID: 'INVALID_ID',
+    INVALID_NICKNAME: 'INVALID_NICKNAME',
+    INVALID_STOREFRONT: 'INVALID_STOREFRONT',
+};
+
+/**
+ * Latest share link version, used by encodeShareLink unless told otherwise
+ */
+export const CURRENT_SHARE_VERSION = 2;
+
+/**
+ * Platform codes for the v2 binary format.
+ * Codes are part of the wire format: never renumber, only append.
+ */
+const PLATFORM_CODES = {
+    spotify: 1,
+    tidal: 2,
+    applemusic: 3,
+    youtubemusic: 4,
+    youtube: 5,
+    deezer: 6,
+    amazonmusic: 7,
+    soundcloud: 8,
+    bandcamp: 9,
+    qobuz: 10,
+    pandora: 11,
+    audiomack: 12,
+    napster: 13,
+};
+
+/**
+ * Content type codes for the v2 binary format.
+ * Codes are part of the wire format: never renumber, only append.
+ */
+const TYPE_CODES = {
+    track: 1,
+    album: 2,
+    artist: 3,
+    playlist: 4,
+    song: 5,
+    video: 6,
+};
+
+const PLATFORMS_BY_CODE = invert(PLATFORM_CODES);
+const TYPES_BY_CODE = invert(TYPE_CODES);
+
+const MAX_FIELD_BYTES = 255;      // Length prefixes are a single byte
+const VERSION_PREFIX = /^v(\d+)\./;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encodes a share link path segment
+ *
+ * @param {Object} link - Link fields
+ * @param {string} link.platform - Platform identifier (spotify, tidal, ...)
+ * @param {string} link.type - Content type (track, album, ...)
+ * @param {string} link.id - Platform-specific content ID
+ * @param {string|null} [link.nickname] - Optional nickname of the sharer
+ * @param {string|null} [link.storefront] - Optional storefront (lowercase country code)
+ * @param {Object} [options]
+ * @param {number} [options.version] - Format version (1 or 2), defaults to CURRENT_SHARE_VERSION
+ * @returns {{ok: true, code: string, version: number} | {ok: false, error: {code: string, message: string}}}
+ */
+export function encodeShareLink(link, options = {}) {
+    const version = options.version ?? CURRENT_SHARE_VERSION;
+    const validation = validateFields(link);
+    if (!validation.ok) {
+        return validation;
+    }
+    const { platform, type, id, nickname, storefront } = validation.fields;
+
+    if (version === 1) {
+        const head = storefront ? `${platform}.${storefront}:${type}:${id}` : `${platform}:${type}:${id}`;
+        const text = nickname ? `${head}:${nickname}` : head;
+        return { ok: true, code: `v1.${toBase64Url(textEncoder.encode(text))}`, version };
+    }
+
+    if (version === 2) {
+        if (!(type in TYPE_CODES)) {
+            return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_TYPE, `Content type "${type}" cannot be encoded as v2`);
+        }
+
+        const idBytes = textEncoder.encode(id);
+        const nicknameBytes = textEncoder.encode(nickname || '');
+        const storefrontBytes = textEncoder.encode(storefront || '');
+        const storefrontFieldLength = storefront ? 1 + storefrontBytes.length : 0;
+
+        const payload = new Uint8Array(4 + idBytes.length + nicknameBytes.length + storefrontFieldLength);
+        let offset = 0;
+        payload[offset++] = PLATFORM_CODES[platform];
+        payload[offset++] = TYPE_CODES[type];
+        payload[offset++] = idBytes.length;
+        payload.set(idBytes, offset);
+        offset += idBytes.length;
+        payload[offset++] = nicknameBytes.length;
+        payload.set(nicknameBytes, offset);
+        offset += nicknameBytes.length;
+        if (storefront) {
+            payload[offset++] = storefrontBytes.length;
+            payload.set(storefrontBytes, offset);
+        }
+
+        const checksum = crc16(payload);
+        const framed = new Uint8Array(payload.length + 2);
+        framed.set(payload, 0);
+        framed[payload.length] = checksum >> 8;
+        framed[payload.length + 1] = checksum & 0xff;
+
+        return { ok: true, code: `v2.${toBase64Url(framed)}`, version };
+    }
+
+    return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_VERSION, `Share link version ${version} is not supported`);
+}
+
+/**
+ * Decodes a share link path segment (everything after /s/)
+ *
+ * @param {string} code - Encoded share link
+ * @returns {{ok: true, link: {version: number, platform: string, type: string, id: string, nickname: string|null, storefront: string|null, url?: string}} | {ok: false, error: {code: string, message: string}}}
+ */
+export function decodeShareLink(code) {
+    if (!code || typeof code !== 'string') {
+        return failure(SHARE_CODEC_ERRORS.EMPTY, 'Share link is empty');
+    }
+
+    const match = code.match(VERSION_PREFIX);
+    const version = match ? parseInt(match[1], 10) : 1;
+    const body = match ? code.substring(match[0].length) : code;
+
+    const bytes = fromBase64Url(body);
+    if (!bytes) {
+        return failure(SHARE_CODEC_ERRORS.INVALID_ENCODING, 'Share link is not valid Base64');
+    }
+
+    if (version === 1) {
+        return match ? decodeV1(bytes) : decodeLegacy(bytes);
+    }
+    if (version === 2) {
+        return decodeV2(bytes);
+    }
+
+    return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_VERSION, `Share link version ${version} is not supported`);
+}
+
+/**
+ * Decodes an unprefixed payload, which is either a full URL or v1 text
+ */
+function decodeLegacy(bytes) {
+    const text = textDecoder.decode(bytes).trim();
+
+    if (/^https?:\/\//i.test(text)) {
+        return {
+            ok: true,
+            link: { version: 0, url: text, platform: null, type: null, id: null, nickname: null, storefront: null },
+        };
+    }
+
+    return decodeV1(bytes);
+}
+
+/**
+ * Decodes the v1 text payload `platform[.storefront]:type:id[:nickname]`
+ * IDs never contain colons, so anything after the ID belongs to the nickname.
+ */
+function decodeV1(bytes) {
+    const text = textDecoder.decode(bytes);
+    const parts = text.split(':');
+
+    if (parts.length < 3) {
+        return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'Expected platform:type:id');
+    }
+
+    const nickname = parts.length > 3 ? parts.slice(3).join(':') : null;
+    const [platform, storefront = null, ...rest] = parts[0].split('.');
+    if (rest.length > 0) {
+        return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'Expected platform[.storefront]');
+    }
+
+    const validation = validateFields({
+        platform,
+        type: parts[1],
+        id: parts[2],
+        nickname,
+        storefront,
+    });
+    if (!validation.ok) {
+        return validation;
+    }
+
+    return { ok: true, link: { version: 1, ...validation.fields } };
+}
+
+/**
+ * Decodes the v2 binary payload and verifies its checksum
+ */
+function decodeV2(bytes) {
+    // platform + type + idLength + nicknameLength + checksum
+    if (bytes.length < 6) {
+        return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'Payload is too short');
+    }
+
+    const payload = bytes.subarray(0, bytes.length - 2);
+    const checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    if (crc16(payload) !== checksum) {
+        return failure(SHARE_CODEC_ERRORS.CHECKSUM_MISMATCH, 'Share link checksum does not match');
+    }
+
+    let offset = 0;
+    const platform = PLATFORMS_BY_CODE[payload[offset++]];
+    const type = TYPES_BY_CODE[payload[offset++]];
+
+    const idLength = payload[offset++];
+    if (offset + idLength + 1 > payload.length) {
+        return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'ID field is truncated');
+    }
+    const id = textDecoder.decode(payload.subarray(offset, offset + idLength));
+    offset += idLength;
+
+    const nicknameLength = payload[offset++];
+    if (offset + nicknameLength > payload.length) {
+        return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'Nickname field is truncated');
+    }
+    const nickname = textDecoder.decode(payload.subarray(offset, offset + nicknameLength));
+    offset += nicknameLength;
+
+    // Optional storefront field
+    let storefront = null;
+    if (offset < payload.length) {
+        const storefrontLength = payload[offset++];
+        if (offset + storefrontLength !== payload.length) {
+            return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'Storefront field length does not match payload');
+        }
+        storefront = textDecoder.decode(payload.subarray(offset, offset + storefrontLength));
+    }
+
+    if (!platform) {
+        return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_PLATFORM, 'Unknown platform code');
+    }
+    if (!type) {
+        return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_TYPE, 'Unknown content type code');
+    }
+
+    const validation = validateFields({ platform, type, id, nickname: nickname || null, storefront: storefront || null });
+    if (!validation.ok) {
+        return validation;
+    }
+
+    return { ok: true, link: { version: 2, ...validation.fields } };
+}
+
+/**
+ * Validates and normalizes link fields shared by every version
+ */
+function validateFields(link) {
+    if (!link || typeof link !== 'object') {
+        return failure(SHARE_CODEC_ERRORS.MALFORMED_PAYLOAD, 'Link fields are missing');
+    }
+
+    const platform = typeof link.platform === 'string' ? link.platform.toLowerCase() : '';
+    const type = typeof link.type === 'string' ? link.type.toLowerCase() : '';
+    const id = typeof link.id === 'string' ? link.id : '';
+    const nickname = link.nickname == null || link.nickname === '' ? null : link.nickname;
+    const storefront = link.storefront == null || link.storefront === '' ? null : link.storefront;
+
+    if (!(platform in PLATFORM_CODES)) {
+        return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_PLATFORM, `Platform "${platform}" is not supported`);
+    }
+    if (!/^[a-z]+$/.test(type)) {
+        return failure(SHARE_CODEC_ERRORS.UNSUPPORTED_TYPE, 'Content type must be a lowercase word');
+    }
+    if (!id || id.includes(':') || /[\s?#]/.test(id) || textEncoder.encode(id).length > MAX_FIELD_BYTES) {
+        return failure(SHARE_CODEC_ERRORS.INVALID_ID, 'Content ID is missing or contains invalid characters');
+    }
+    if (nickname !== null && (typeof nickname !== 'string' || textEncoder.encode(nickname).length > MAX_FIELD_BYTES)) {
+        return failure(SHARE_CODEC_ERRORS.INVALID_NICKNAME, 'Nickname must be a string of at most 255 bytes');
+    }
+    if (storefront !== null && (typeof storefront !== 'string' || !/^[a-z]{2}$/.test(storefront))) {
+        return failure(SHARE_CODEC_ERRORS.INVALID_STOREFRONT, 'Storefront must be a lowercase two-letter country code');
+    }
+
+    return { ok: true, fields: { platform, type, id, nickname, storefront } };
+}
+
+function failure(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+function invert(map) {
+    const inverted = {};
+    for (const [key, value] of Object.entries(map)) {
+        inverted[value] = key;
+    }
+    return inverted;
+}
+
+/**
+ * Encodes bytes as unpadded Base64URL
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes Base64URL (padding optional, standard alphabet tolerated)
+ *
+ * @returns {Uint8Array|null} - Decoded bytes or null if input is not Base64
+ */
+function fromBase64Url(text) {
+    if (!text || !/^[A-Za-z0-9\-_+/]+=*$/.test(text)) {
+        return null;
+    }
+
+    let padded = text.replace(/=+$/, '').replace(/-/g, '+').replace(/_/g, '/');
+    while (padded.length % 4 !== 0) {
+        padded += '=';
+    }
+
+    try {
+        const binary = atob(padded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * CRC-16/CCITT-FALSE checksum
+ */
+function crc16(bytes) {
+    let crc = 0xffff;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
@@ -0,0 +1,91 @@
+import { parseMusicUrl, reconstructMusicUrl } from './url_validator.js';
+import { AMAZON_MUSIC_STOREFRONTS, APPLE_MUSIC_STOREFRONTS } from '../constants/services.js';
+
+/**
+ * Platforms whose URLs carry a storefront (country) and how to check support for it
+ */
+const STOREFRONT_PLATFORMS = {
+    applemusic: (country) => APPLE_MUSIC_STOREFRONTS.includes(country),
+    amazonmusic: (country) => country in AMAZON_MUSIC_STOREFRONTS,
+};
+
+/**
+ * Country codes Cloudflare uses for unknown origin (XX) and Tor (T1)
+ */
+const NON_COUNTRY_CODES = ['xx', 't1'];
+
+/**
+ * Gets the visitor's country from Cloudflare request metadata
+ *
+ * @param {Request} request - The incoming request
+ * @returns {string|null} - Lowercase ISO 3166-1 alpha-2 code or null if unknown
+ */
+export function getVisitorCountry(request) {
+    const country = request?.cf?.country;
+    if (typeof country !== 'string' || !/^[A-Za-z][A-Za-z0-9]$/.test(country)) {
+        return null;
+    }
+
+    const lowerCountry = country.toLowerCase();
+    return NON_COUNTRY_CODES.includes(lowerCountry) ? null : lowerCountry;
+}
+
+/**
+ * Rewrites a storefront-bearing music URL (Apple Music, Amazon Music) to the visitor's country
+ * URLs of other platforms, unparseable URLs and unsupported countries are returned unchanged,
+ * so the original storefront acts as the fallback
+ *
+ * @param {string} url - Music URL
+ * @param {string|null} country - Visitor country from getVisitorCountry
+ * @returns {string} - Localized URL or the original URL
+ */
+export function localizeMusicUrl(url, country) {
+    if (!url || !country) {
+        return url;
+    }
+
+    const link = parseMusicUrl(url);
+    const isSupported = link && STOREFRONT_PLATFORMS[link.platform];
+    if (!isSupported || !isSupported(country)) {
+        return url;
+    }
+
+    return reconstructMusicUrl(link.platform, link.type, link.id, country) || url;
+}
+
+/**
+ * Checks whether localizeMetadata can change any of the metadata's links
+ * (i.e. whether pages rendered from it differ between countries)
+ *
+ * @param {Object} metadata - Metadata in entitiesByUniqueId/linksByPlatform shape
+ * @returns {boolean}
+ */
+export function hasLocalizableLinks(metadata) {
+    return Object.values(metadata?.linksByPlatform || {}).some(link => {
+        const parsed = typeof link?.url === 'string' ? parseMusicUrl(link.url) : null;
+        return !!parsed && parsed.platform in STOREFRONT_PLATFORMS;
+    });
+}
+
+/**
+ * Returns a copy of upstream metadata with storefront-bearing platform links localized
+ * Applied after the cache lookup, so cached metadata stays country-neutral
+ *
+ * @param {Object} metadata - Metadata in entitiesByUniqueId/linksByPlatform shape
+ * @param {string|null} country - Visitor country from getVisitorCountry
+ * @returns {Object} - Localized metadata (the input is not modified)
+ */
+export function localizeMetadata(metadata, country) {
+    if (!metadata || !country || !metadata.linksByPlatform) {
+        return metadata;
+    }
+
+    const linksByPlatform = {};
+    for (const [key, link] of Object.entries(metadata.linksByPlatform)) {
+        linksByPlatform[key] = link && typeof link.url === 'string'
+            ? { ...link, url: localizeMusicUrl(link.url, country) }
+            : link;
+    }
+
+    return { ...metadata, linksByPlatform };
+}
@@ -0,0 +1,85 @@
+import { UPSTREAM_SERVICES, getCircuitRetryAfter } from './upstream_client.js';
+
+/**
+ * Metadata upstream adapters
+ *
+ * Each adapter knows how to build a lookup URL for its API and how to normalize
+ * the response into the shape the renderers consume:
+ *
+ *   {
+ *     entityUniqueId: string,
+ *     entitiesByUniqueId: { [id]: { id, type, title, artistName, thumbnailUrl, ... } },
+ *     linksByPlatform: { [platform]: { url, entityUniqueId, nativeAppUriMobile?, nativeAppUriDesktop? } }
+ *   }
+ *
+ * metadata_fetcher.js tries adapters in config.metadataUpstreamOrder and fails over
+ * to the next one when an upstream is unavailable. Normalized payloads are then
+ * validated and sanitized by metadata_validator.js.
+ */
+
+const ADAPTERS = {
+    // Primary: UniTune API (already returns the shared shape)
+    unitune: {
+        service: UPSTREAM_SERVICES.METADATA,
+        isConfigured: (config) => !!config.unituneApiEndpoint,
+        buildUrl: (musicUrl, config) => `${config.unituneApiEndpoint}?url=${encodeURIComponent(musicUrl)}`,
+        normalize: normalizeLinksPayload,
+    },
+    // Secondary: Odesli / song.link-compatible API
+    odesli: {
+        service: UPSTREAM_SERVICES.ODESLI,
+        isConfigured: (config) => !!config.odesliApiEndpoint,
+        buildUrl: (musicUrl, config) => {
+            const params = new URLSearchParams({ url: musicUrl });
+            if (config.odesliApiKey) {
+                params.set('key', config.odesliApiKey);
+            }
+            return `${config.odesliApiEndpoint}?${params}`;
+        },
+        // Odesli adds pageUrl, userCountry and extra per-link fields; the validator strips them
+        normalize: normalizeLinksPayload,
+    },
+};
+
+/**
+ * Returns the configured metadata adapters in failover order
+ * Unknown names and adapters without an endpoint are skipped
+ *
+ * @param {Object} config - Worker configuration
+ * @returns {Array<{name: string, service: string, buildUrl: Function, normalize: Function}>}
+ */
+export function getMetadataAdapters(config) {
+    return config.metadataUpstreamOrder
+        .filter(name => ADAPTERS[name] && ADAPTERS[name].isConfigured(config))
+        .map(name => ({ name, ...ADAPTERS[name] }));
+}
+
+/**
+ * Seconds until any metadata upstream accepts requests again
+ * 0 while at least one configured upstream's circuit is closed (or probing)
+ *
+ * @param {Object} config - Worker configuration
+ * @returns {number}
+ */
+export function getMetadataRetryAfter(config) {
+    const waits = getMetadataAdapters(config).map(adapter => getCircuitRetryAfter(adapter.service, config));
+    return waits.length > 0 && waits.every(wait => wait > 0) ? Math.min(...waits) : 0;
+}
+
+/**
+ * Extracts the entitiesByUniqueId/linksByPlatform shape from a payload
+ *
+ * @param {Object} payload - Parsed upstream JSON
+ * @returns {Object|null} - Metadata in the shared shape or null if the payload has neither map
+ */
+function normalizeLinksPayload(payload) {
+    if (!payload || typeof payload !== 'object' || (!payload.entitiesByUniqueId && !payload.linksByPlatform)) {
+        return null;
+    }
+
+    return {
+        entityUniqueId: payload.entityUniqueId,
+        entitiesByUniqueId: payload.entitiesByUniqueId,
+        linksByPlatform: payload.linksByPlatform,
+    };
+}
@@ -0,0 +1,236 @@
+import { log } from './logger.js';
+
+/**
+ * Shared client for upstream API requests (UniTune API, Odesli fallback)
+ *
+ * - Every attempt, including reading the response body, is bounded by an AbortController timeout
+ * - Idempotent requests (GET/HEAD) are retried on network errors, timeouts,
+ *   429 and 5xx with exponential backoff and full jitter
+ * - A circuit breaker per upstream service opens after consecutive failed calls,
+ *   short-circuits requests while open and lets a single probe through after
+ *   the cooldown; a successful probe closes it again
+ *
+ * Breaker state lives in module scope, so it is tracked per isolate.
+ */
+
+/**
+ * Upstream service names (breaker keys)
+ */
+export const UPSTREAM_SERVICES = {
+    METADATA: 'unitune-api',
+    PLAYLISTS: 'unitune-playlists',
+    ODESLI: 'odesli',
+};
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open',
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+const RETRY_BASE_DELAY_MS = 200;
+const RETRY_MAX_DELAY_MS = 2000;
+
+// Breaker state per upstream service (per isolate)
+const breakers = new Map();
+
+/**
+ * Fetches from an upstream service with timeout, retries and circuit breaking
+ * Never throws: network errors and timeouts are reported through the status
+ *
+ * @param {string} url - Upstream URL
+ * @param {Object} options
+ * @param {string} options.service - Service name from UPSTREAM_SERVICES
+ * @param {Object} options.config - Worker configuration
+ * @param {RequestInit} [options.init] - Fetch options (method defaults to GET)
+ * @returns {Promise<{response: Response|null, status: number, circuitOpen: boolean}>} - The final
+ *   response, its body already read (null on network error, timeout or open circuit), and its
+ *   status (502 on network error, 504 on timeout, 503 when the circuit is open)
+ */
+export async function fetchUpstream(url, { service, config, init = {} }) {
+    const breaker = getBreaker(service);
+
+    if (!acquirePermit(breaker, config)) {
+        log(config, 'warn', 'Upstream circuit open, skipping request', { service });
+        return { response: null, status: 503, circuitOpen: true };
+    }
+
+    const method = (init.method || 'GET').toUpperCase();
+    const isProbe = breaker.state === CIRCUIT_STATES.HALF_OPEN;
+    // Probes get a single attempt so a still-broken upstream reopens the circuit quickly
+    const maxAttempts = IDEMPOTENT_METHODS.includes(method) && !isProbe ? 1 + config.upstreamMaxRetries : 1;
+
+    let result;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        result = await fetchWithTimeout(url, init, config.upstreamTimeoutMs);
+
+        if (!isRetryableStatus(result.status) || attempt === maxAttempts) {
+            break;
+        }
+
+        const delayMs = getBackoffDelay(attempt);
+        log(config, 'warn', 'Upstream request failed, retrying', {
+            service,
+            status: result.status,
+            attempt,
+            delayMs
+        });
+        await sleep(delayMs);
+    }
+
+    if (isRetryableStatus(result.status)) {
+        recordFailure(breaker, service, config);
+    } else {
+        recordSuccess(breaker, service, config);
+    }
+
+    return { ...result, circuitOpen: false };
+}
+
+/**
+ * Seconds until an open circuit lets the next probe through (0 if not open)
+ *
+ * @param {string} service - Service name from UPSTREAM_SERVICES
+ * @param {Object} config - Worker configuration
+ * @returns {number}
+ */
+export function getCircuitRetryAfter(service, config) {
+    const breaker = breakers.get(service);
+    if (!breaker || breaker.state === CIRCUIT_STATES.CLOSED) {
+        return 0;
+    }
+
+    const reopensAt = breaker.openedAt + config.circuitBreakerCooldownSeconds * 1000;
+    return Math.max(1, Math.ceil((reopensAt - Date.now()) / 1000));
+}
+
+/**
+ * Snapshot of all circuit breakers for the health endpoint
+ *
+ * @returns {Object<string, {state: string, consecutiveFailures: number, openedAt: string|null}>}
+ */
+export function getUpstreamHealth() {
+    const health = {};
+    for (const service of Object.values(UPSTREAM_SERVICES)) {
+        const breaker = getBreaker(service);
+        health[service] = {
+            state: breaker.state,
+            consecutiveFailures: breaker.consecutiveFailures,
+            openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        };
+    }
+    return health;
+}
+
+function getBreaker(service) {
+    let breaker = breakers.get(service);
+    if (!breaker) {
+        breaker = {
+            state: CIRCUIT_STATES.CLOSED,
+            consecutiveFailures: 0,
+            openedAt: null,
+            probeInFlight: false,
+        };
+        breakers.set(service, breaker);
+    }
+    return breaker;
+}
+
+/**
+ * Decides whether a request may go upstream, moving open -> half-open after the cooldown
+ */
+function acquirePermit(breaker, config) {
+    if (breaker.state === CIRCUIT_STATES.CLOSED) {
+        return true;
+    }
+
+    if (breaker.state === CIRCUIT_STATES.OPEN) {
+        const cooldownMs = config.circuitBreakerCooldownSeconds * 1000;
+        if (Date.now() - breaker.openedAt < cooldownMs) {
+            return false;
+        }
+        breaker.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    // Half-open: only one probe at a time
+    if (breaker.probeInFlight) {
+        return false;
+    }
+    breaker.probeInFlight = true;
+    return true;
+}
+
+function recordSuccess(breaker, service, config) {
+    if (breaker.state !== CIRCUIT_STATES.CLOSED) {
+        log(config, 'info', 'Upstream circuit closed', { service });
+    }
+    breaker.state = CIRCUIT_STATES.CLOSED;
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.probeInFlight = false;
+}
+
+function recordFailure(breaker, service, config) {
+    breaker.consecutiveFailures++;
+    breaker.probeInFlight = false;
+
+    const shouldOpen = breaker.state === CIRCUIT_STATES.HALF_OPEN
+        || breaker.consecutiveFailures >= config.circuitBreakerThreshold;
+
+    if (shouldOpen) {
+        if (breaker.state !== CIRCUIT_STATES.OPEN) {
+            log(config, 'warn', 'Upstream circuit opened', {
+                service,
+                consecutiveFailures: breaker.consecutiveFailures
+            });
+        }
+        breaker.state = CIRCUIT_STATES.OPEN;
+        breaker.openedAt = Date.now();
+    }
+}
+
+/**
+ * Performs a single fetch attempt bounded by a timeout
+ * The body is read before the timer is cleared, so an upstream that sends its headers and then
+ * stalls times out too; callers get a buffered copy of the response
+ */
+async function fetchWithTimeout(url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const upstream = await fetch(url, { ...init, signal: controller.signal });
+        const body = upstream.body ? await upstream.arrayBuffer() : null;
+        const response = new Response(body, {
+            status: upstream.status,
+            statusText: upstream.statusText,
+            headers: upstream.headers,
+        });
+        return { response, status: response.status };
+    } catch (error) {
+        return { response: null, status: error.name === 'AbortError' ? 504 : 502 };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Rate limits, server errors, timeouts and network errors are worth retrying
+ * and count against the circuit breaker; other 4xx are the caller's problem
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with full jitter: random delay in [0, min(max, base * 2^(attempt-1))]
+ */
+function getBackoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,4 +1,9 @@
-import { TRUSTED_THUMBNAIL_DOMAINS } from '../constants/services.js';
+import {
+    TRUSTED_THUMBNAIL_DOMAINS,
+    MUSIC_PLATFORM_HOSTS,
+    MUSIC_PLATFORM_WILDCARD_DOMAINS,
+    AMAZON_MUSIC_STOREFRONTS
+} from '../constants/services.js';
 
 /**
  * Validates that a thumbnail URL is safe to display
@@ -32,24 +37,421 @@ export function isValidThumbnailUrl(url) {
     }
 }
 
+/**
+ * Canonical content types shared by every platform
+ */
+const CONTENT_TYPES = ['track', 'album', 'artist', 'playlist'];
+
+/**
+ * Legacy type names used by older share links, mapped to canonical types
+ */
+const TYPE_ALIASES = {
+    song: 'track',
+    video: 'track',
+};
+
+/**
+ * Storefront used when a link does not carry one
+ */
+const DEFAULT_STOREFRONT = 'us';
+
+/**
+ * Allowed content ID shapes per platform (default: single path-safe token)
+ * Slug-based platforms use "{owner}/{slug}" IDs
+ */
+const DEFAULT_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+const ID_PATTERNS = {
+    soundcloud: /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)?$/,
+    bandcamp: /^[A-Za-z0-9-]+(\/[A-Za-z0-9_-]+)?$/,
+    audiomack: /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)?$/,
+    pandora: /^([A-Za-z0-9-]+\/){1,3}(TR|AL|AR)[A-Za-z0-9]+$/,
+};
+
+/**
+ * Pandora encodes the content type as a prefix of the final path token
+ */
+const PANDORA_TYPE_PREFIXES = { TR: 'track', AL: 'album', AR: 'artist' };
+
+/**
+ * URL builders per platform: (type, id, storefront) => canonical URL, or null if the
+ * platform has no URL shape for that type/ID combination
+ */
+const URL_BUILDERS = {
+    spotify: (type, id) => `https://open.spotify.com/${type}/${id}`,
+    tidal: (type, id) => `https://tidal.com/browse/${type}/${id}`,
+    applemusic: (type, id, storefront) => {
+        const path = { track: 'song', album: 'album', artist: 'artist', playlist: 'playlist' }[type];
+        return `https://music.apple.com/${storefront}/${path}/${id}`;
+    },
+    youtubemusic: (type, id) => {
+        if (type === 'artist') return `https://music.youtube.com/channel/${id}`;
+        if (type === 'album' && id.startsWith('MPREb')) return `https://music.youtube.com/browse/${id}`;
+        if (type === 'album' || type === 'playlist') return `https://music.youtube.com/playlist?list=${id}`;
+        return `https://music.youtube.com/watch?v=${id}`;
+    },
+    youtube: (type, id) => {
+        if (type === 'artist') return `https://youtube.com/channel/${id}`;
+        if (type === 'album' || type === 'playlist') return `https://youtube.com/playlist?list=${id}`;
+        return `https://youtube.com/watch?v=${id}`;
+    },
+    deezer: (type, id) => `https://www.deezer.com/${type}/${id}`,
+    amazonmusic: (type, id, storefront) => {
+        const domain = AMAZON_MUSIC_STOREFRONTS[storefront] || AMAZON_MUSIC_STOREFRONTS[DEFAULT_STOREFRONT];
+        return `https://music.amazon.${domain}/${type}s/${id}`;
+    },
+    soundcloud: (type, id) => {
+        const [user, slug] = id.split('/');
+        if (type === 'artist') return slug ? null : `https://soundcloud.com/${user}`;
+        if (!slug) return null;
+        return type === 'track' ? `https://soundcloud.com/${user}/${slug}` : `https://soundcloud.com/${user}/sets/${slug}`;
+    },
+    bandcamp: (type, id) => {
+        const [artist, slug] = id.split('/');
+        if (type === 'artist') return slug ? null : `https://${artist}.bandcamp.com`;
+        if (!slug || type === 'playlist') return null;
+        return `https://${artist}.bandcamp.com/${type}/${slug}`;
+    },
+    qobuz: (type, id) => `https://open.qobuz.com/${type}/${id}`,
+    pandora: (type, id) => {
+        const token = id.substring(id.lastIndexOf('/') + 1);
+        return PANDORA_TYPE_PREFIXES[token.substring(0, 2)] === type ? `https://www.pandora.com/artist/${id}` : null;
+    },
+    audiomack: (type, id) => {
+        const [artist, slug] = id.split('/');
+        if (type === 'artist') return slug ? null : `https://audiomack.com/${artist}`;
+        if (!slug) return null;
+        return `https://audiomack.com/${artist}/${type === 'track' ? 'song' : type}/${slug}`;
+    },
+    napster: (type, id) => `https://web.napster.com/${type}/${id}`,
+};
+
 /**
  * Reconstructs a music URL from platform, type, and ID
+ * Inverse of parseMusicUrl: reconstructMusicUrl(parseMusicUrl(url)) is the canonical URL
  * 
  * @param {string} platform - Platform identifier (spotify, tidal, etc.)
- * @param {string} type - Content type (track, album, etc.)
+ * @param {string} type - Content type (track, album, artist, playlist; legacy "song" is accepted)
  * @param {string} id - Track/content ID
- * @returns {string|null} - Reconstructed URL or null if platform unsupported
- */
-export function reconstructMusicUrl(platform, type, id) {
-    const urls = {
-        'spotify': `https://open.spotify.com/${type}/${id}`,
-        'tidal': `https://tidal.com/browse/${type}/${id}`,
-        'applemusic': `https://music.apple.com/us/song/${id}`,
-        'youtubemusic': `https://music.youtube.com/watch?v=${id}`,
-        'youtube': `https://youtube.com/watch?v=${id}`,
-        'deezer': `https://www.deezer.com/${type}/${id}`,
-        'amazonmusic': `https://music.amazon.com/tracks/${id}`
-    };
-    
-    return urls[platform.toLowerCase()] || null;
+ * @param {string|null} storefront - Optional storefront (country code) for Apple Music / Amazon Music
+ * @returns {string|null} - Reconstructed URL or null if platform or type unsupported
+ */
+export function reconstructMusicUrl(platform, type, id, storefront = null) {
+    const platformKey = String(platform).toLowerCase();
+    const builder = URL_BUILDERS[platformKey];
+    const canonicalType = canonicalContentType(type);
+
+    if (!builder || !canonicalType || !isValidContentId(platformKey, id)) {
+        return null;
+    }
+
+    return builder(canonicalType, id, (storefront || DEFAULT_STOREFRONT).toLowerCase());
+}
+
+/**
+ * Maps a content type (including legacy aliases) to its canonical name
+ * 
+ * @param {string} type - Content type from a share link or URL
+ * @returns {string|null} - Canonical type or null if unknown
+ */
+export function canonicalContentType(type) {
+    const lowerType = String(type || '').toLowerCase();
+    const canonical = TYPE_ALIASES[lowerType] || lowerType;
+    return CONTENT_TYPES.includes(canonical) ? canonical : null;
+}
+
+/**
+ * Query parameters that only carry tracking information
+ */
+const TRACKING_PARAMS = ['si', 'fbclid', 'gclid', 'igshid', 'ref', 'ref_src', 'context', 'nd', 'dlsi'];
+
+/**
+ * Validates a full music URL against the platform allowlist and normalizes it
+ * - Must use HTTP(S), is upgraded to HTTPS
+ * - Host must be a known music platform (MUSIC_PLATFORM_HOSTS)
+ * - Credentials, non-default ports and fragments are rejected or dropped
+ * - Tracking parameters (utm_*, si, ...) are stripped
+ * 
+ * @param {string} url - The URL to normalize
+ * @returns {string|null} - Normalized URL or null if not an allowed music URL
+ */
+export function normalizeMusicUrl(url) {
+    if (!url || typeof url !== 'string') {
+        return null;
+    }
+
+    try {
+        const parsedUrl = new URL(url.trim());
+
+        if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+            return null;
+        }
+        if (parsedUrl.username || parsedUrl.password || parsedUrl.port) {
+            return null;
+        }
+
+        const hostname = parsedUrl.hostname.toLowerCase();
+        const isWildcardHost = MUSIC_PLATFORM_WILDCARD_DOMAINS.some(domain => hostname.endsWith('.' + domain));
+        if (!MUSIC_PLATFORM_HOSTS.includes(hostname) && !isWildcardHost) {
+            return null;
+        }
+
+        for (const key of [...parsedUrl.searchParams.keys()]) {
+            if (key.toLowerCase().startsWith('utm_') || TRACKING_PARAMS.includes(key.toLowerCase())) {
+                parsedUrl.searchParams.delete(key);
+            }
+        }
+
+        parsedUrl.protocol = 'https:';
+        parsedUrl.hostname = hostname;
+        parsedUrl.hash = '';
+
+        return parsedUrl.toString();
+    } catch (e) {
+        // Invalid URL format
+        return null;
+    }
+}
+
+/**
+ * Parses a music platform URL or URI into its canonical form
+ * Tracking parameters are ignored; the result round-trips through reconstructMusicUrl
+ * 
+ * Supported shapes include:
+ * - spotify:{type}:{id} URIs and open.spotify.com/[intl-xx/]{type}/{id}
+ * - music.apple.com/{storefront}/{song|album|artist|playlist}/[slug/]{id}, album links with ?i={trackId}
+ * - youtube.com, m.youtube.com, music.youtube.com and youtu.be
+ * - tidal.com/[browse/]{type}/{id} and listen.tidal.com (including album/{id}/track/{id})
+ * - deezer.com/[{lang}/]{type}/{id}
+ * - music.amazon.{tld}/{tracks|albums|artists|playlists}/{ASIN}, ?trackAsin= and amazon.{tld}/dp/{ASIN}
+ * - soundcloud.com/{user}[/{slug}|/sets/{slug}] and {artist}.bandcamp.com[/{track|album}/{slug}]
+ * - open.qobuz.com/{type}/{id} and qobuz.com/{locale}/{album|interpreter}/{slug}/{id}
+ * - pandora.com/artist/.../{TR|AL|AR}{token}, audiomack.com/{artist}[/{song|album|playlist}/{slug}]
+ * - web.napster.com/{type}/{id}
+ * 
+ * @param {string} input - Music URL (https://...) or Spotify URI (spotify:track:...)
+ * @returns {{platform: string, type: string, id: string, storefront: string|null}|null} - Canonical link or null if unrecognized
+ */
+export function parseMusicUrl(input) {
+    if (!input || typeof input !== 'string') {
+        return null;
+    }
+
+    const trimmed = input.trim();
+
+    // Spotify URIs: spotify:{type}:{id} and legacy spotify:user:{user}:playlist:{id}
+    const spotifyUri = trimmed.match(/^spotify:(?:user:[^:]+:)?(track|album|artist|playlist):([A-Za-z0-9]+)$/);
+    if (spotifyUri) {
+        return canonicalLink('spotify', spotifyUri[1], spotifyUri[2]);
+    }
+
+    const normalized = normalizeMusicUrl(trimmed);
+    if (!normalized) {
+        return null;
+    }
+
+    const parsedUrl = new URL(normalized);
+    const host = parsedUrl.hostname.replace(/^(www|m)\./, '');
+    const segments = parsedUrl.pathname.split('/').filter(Boolean).map(decodeSegment);
+    const params = parsedUrl.searchParams;
+
+    if (host === 'open.spotify.com' || host === 'play.spotify.com') {
+        // Optional intl-xx and embed prefixes
+        const path = segments.filter(segment => !/^intl-[a-z-]+$/i.test(segment) && segment !== 'embed');
+        return canonicalLink('spotify', path[0], path[1]);
+    }
+
+    if (host === 'music.apple.com' || host === 'itunes.apple.com' || host === 'geo.music.apple.com') {
+        return parseAppleMusic(segments, params);
+    }
+
+    if (host === 'music.youtube.com') {
+        return parseYouTube('youtubemusic', segments, params);
+    }
+
+    if (host === 'youtube.com') {
+        return parseYouTube('youtube', segments, params);
+    }
+
+    if (host === 'youtu.be') {
+        return canonicalLink('youtube', 'track', segments[0]);
+    }
+
+    if (host === 'tidal.com' || host === 'listen.tidal.com') {
+        const path = segments[0] === 'browse' ? segments.slice(1) : segments;
+        // listen.tidal.com/album/{albumId}/track/{trackId}
+        if (path[0] === 'album' && path[2] === 'track') {
+            return canonicalLink('tidal', 'track', path[3]);
+        }
+        return canonicalLink('tidal', path[0], path[1]);
+    }
+
+    if (host === 'deezer.com') {
+        // Optional language prefix: deezer.com/{lang}/{type}/{id}
+        const path = /^[a-z]{2}(-[a-z]{2})?$/i.test(segments[0]) && segments.length >= 3 ? segments.slice(1) : segments;
+        return canonicalLink('deezer', path[0], path[1]);
+    }
+
+    const amazon = host.match(/^(music\.)?amazon\.(.+)$/);
+    if (amazon) {
+        return parseAmazonMusic(amazon[2], Boolean(amazon[1]), segments, params);
+    }
+
+    if (host === 'soundcloud.com') {
+        if (segments.length === 1) return canonicalLink('soundcloud', 'artist', segments[0]);
+        if (segments[1] === 'sets') return canonicalLink('soundcloud', 'playlist', `${segments[0]}/${segments[2]}`);
+        return segments.length === 2 ? canonicalLink('soundcloud', 'track', `${segments[0]}/${segments[1]}`) : null;
+    }
+
+    const bandcamp = host.match(/^([a-z0-9-]+)\.bandcamp\.com$/);
+    if (bandcamp) {
+        if (segments.length === 0 || segments[0] === 'music') return canonicalLink('bandcamp', 'artist', bandcamp[1]);
+        return segments[1] ? canonicalLink('bandcamp', segments[0], `${bandcamp[1]}/${segments[1]}`) : null;
+    }
+
+    if (host === 'open.qobuz.com' || host === 'play.qobuz.com') {
+        return canonicalLink('qobuz', segments[0], segments[1]);
+    }
+
+    if (host === 'qobuz.com') {
+        // qobuz.com/{locale}/{album|interpreter}/{slug}/{id}
+        const kind = { album: 'album', interpreter: 'artist' }[segments[1]];
+        return kind ? canonicalLink('qobuz', kind, segments[segments.length - 1]) : null;
+    }
+
+    if (host === 'pandora.com' && segments[0] === 'artist') {
+        const id = segments.slice(1).join('/');
+        const token = segments[segments.length - 1] || '';
+        return canonicalLink('pandora', PANDORA_TYPE_PREFIXES[token.substring(0, 2)], id);
+    }
+
+    if (host === 'audiomack.com') {
+        if (segments.length === 1) return canonicalLink('audiomack', 'artist', segments[0]);
+        const kind = { song: 'track', album: 'album', playlist: 'playlist' }[segments[1]];
+        return kind && segments[2] ? canonicalLink('audiomack', kind, `${segments[0]}/${segments[2]}`) : null;
+    }
+
+    if (host === 'napster.com' || host === 'web.napster.com' || host === 'play.napster.com') {
+        return canonicalLink('napster', segments[0], segments[1]);
+    }
+
+    return null;
+}
+
+/**
+ * Parses a URL and reconstructs its canonical form
+ * 
+ * @param {string} input - Music URL or URI
+ * @returns {string|null} - Canonical URL or null if unrecognized
+ */
+export function canonicalizeMusicUrl(input) {
+    const link = parseMusicUrl(input);
+    return link ? reconstructMusicUrl(link.platform, link.type, link.id, link.storefront) : null;
+}
+
+function parseAppleMusic(segments, params) {
+    // Storefront is the first segment when it is a two-letter country code
+    const storefront = /^[a-z]{2}$/i.test(segments[0] || '') ? segments[0].toLowerCase() : null;
+    const path = storefront ? segments.slice(1) : segments;
+    const kind = path[0];
+    const id = path[path.length - 1];
+
+    if (path.length < 2) {
+        return null;
+    }
+
+    // Album links that point at a single track: /album/{slug}/{albumId}?i={trackId}
+    if (kind === 'album' && params.get('i')) {
+        return canonicalLink('applemusic', 'track', params.get('i'), storefront);
+    }
+
+    const type = { song: 'track', album: 'album', artist: 'artist', playlist: 'playlist' }[kind];
+    return type ? canonicalLink('applemusic', type, id.replace(/^id(?=\d+$)/, ''), storefront) : null;
+}
+
+function parseYouTube(platform, segments, params) {
+    if (segments[0] === 'watch' && params.get('v')) {
+        return canonicalLink(platform, 'track', params.get('v'));
+    }
+    if (segments[0] === 'shorts' || segments[0] === 'embed') {
+        return canonicalLink(platform, 'track', segments[1]);
+    }
+    if (segments[0] === 'playlist' && params.get('list')) {
+        // YouTube Music albums are auto-generated playlists prefixed with OLAK5uy_
+        const list = params.get('list');
+        return canonicalLink(platform, list.startsWith('OLAK5uy_') ? 'album' : 'playlist', list);
+    }
+    if (segments[0] === 'browse' && segments[1]?.startsWith('MPREb')) {
+        return canonicalLink(platform, 'album', segments[1]);
+    }
+    if (segments[0] === 'channel') {
+        return canonicalLink(platform, 'artist', segments[1]);
+    }
+    return null;
+}
+
+function parseAmazonMusic(domainSuffix, isMusicHost, segments, params) {
+    const storefront = Object.keys(AMAZON_MUSIC_STOREFRONTS)
+        .find(code => AMAZON_MUSIC_STOREFRONTS[code] === domainSuffix) || null;
+
+    // Product pages: amazon.{tld}/dp/{ASIN}, amazon.{tld}/gp/product/{ASIN}, amazon.{tld}/{slug}/dp/{ASIN}
+    if (!isMusicHost) {
+        const dpIndex = segments.indexOf('dp');
+        const asin = dpIndex !== -1 ? segments[dpIndex + 1] : (segments[0] === 'gp' && segments[1] === 'product' ? segments[2] : null);
+        return isAsin(asin) ? canonicalLink('amazonmusic', 'album', asin.toUpperCase(), storefront) : null;
+    }
+
+    // Album links that point at a single track: /albums/{ASIN}?trackAsin={ASIN}
+    const trackAsin = params.get('trackAsin');
+    if (segments[0] === 'albums' && isAsin(trackAsin)) {
+        return canonicalLink('amazonmusic', 'track', trackAsin.toUpperCase(), storefront);
+    }
+
+    const type = { tracks: 'track', albums: 'album', artists: 'artist', playlists: 'playlist', 'user-playlists': 'playlist' }[segments[0]];
+    if (!type) {
+        return null;
+    }
+    // user-playlists use hex IDs, catalog content uses ASINs
+    const id = segments[1];
+    if (!id || (type !== 'playlist' && !isAsin(id))) {
+        return null;
+    }
+    return canonicalLink('amazonmusic', type, type === 'playlist' ? id : id.toUpperCase(), storefront);
+}
+
+/**
+ * Checks a content ID against the platform's allowed ID shape
+ * 
+ * @param {string} platform - Platform identifier (lowercase)
+ * @param {string} id - Content ID
+ * @returns {boolean} - True if the ID is safe to place into a URL
+ */
+export function isValidContentId(platform, id) {
+    return typeof id === 'string' && (ID_PATTERNS[platform] || DEFAULT_ID_PATTERN).test(id);
+}
+
+function isAsin(value) {
+    return typeof value === 'string' && /^[A-Z0-9]{10}$/i.test(value);
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Builds a canonical link object, rejecting unknown types and unsafe IDs
+ */
+function canonicalLink(platform, type, id, storefront = null) {
+    const canonicalType = canonicalContentType(type);
+    if (!canonicalType || !isValidContentId(platform, id)) {
+        return null;
+    }
+    if (!reconstructMusicUrl(platform, canonicalType, id, storefront)) {
+        // No URL shape for this type on this platform (e.g. Bandcamp playlists)
+        return null;
+    }
+    return { platform, type: canonicalType, id, storefront };
 }
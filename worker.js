@@ -16,36 +16,45 @@
  */
 
 import { getConfig } from './config/environment.js';
+import { ROUTES } from './config/routes.js';
 import { log } from './utils/logger.js';
-import { RateLimiter, getClientIp, createRateLimitResponse } from './security/rate_limiter.js';
-import { addSecurityHeaders } from './security/headers.js';
+import { createRouter } from './utils/router.js';
+import {
+    securityHeadersMiddleware,
+    corsMiddleware,
+    rateLimitMiddleware,
+    cachePolicyMiddleware
+} from './utils/middleware.js';
+import { addSecurityHeaders, SECURITY_HEADER_PROFILES } from './security/headers.js';
 import { addCacheHeaders, CACHE_CONFIG } from './security/cache_headers.js';
 import { getErrorPage } from './templates/error_page.js';
-import { handleShareLink } from './handlers/share_link_handler.js';
-import { handlePlaylistLink } from './handlers/playlist_link_handler.js';
-import { handleApiProxy } from './handlers/api_proxy_handler.js';
-import { handleDonationsAPI } from './handlers/donations_api_handler.js';
-import { handleKofiWebhook } from './handlers/kofi_webhook_handler.js';
-import { handleVersion } from './handlers/version_handler.js';
-import {
-    handleHealth,
-    handlePrivacy,
-    handleAppPrivacy,
-    handleAdsTxt,
-    handleAppAdsTxt,
-    handleAssetLinks,
-    handleAppleAppSiteAssociation,
-    handleHomepage,
-    handleOptionsRequest,
-    handleAbout,
-    handleContact,
-    handleFaq,
-    handleHowItWorks,
-    handleFeatures
-} from './handlers/static_handler.js';
 
-// Initialize rate limiter
-const rateLimiter = new RateLimiter();
+// Durable Object classes must be exported from the main module (bindings in wrangler.toml)
+export { RateLimitCounter } from './security/rate_limit_object.js';
+
+// Routes and their policies live in config/routes.js
+const handleRequest = createRouter(ROUTES, {
+    // Outermost first: 429s and 405s still get security and CORS headers
+    middleware: [
+        securityHeadersMiddleware,
+        corsMiddleware,
+        rateLimitMiddleware,
+        cachePolicyMiddleware,
+    ],
+    notFound: () => createErrorResponse('Page not found.', 404),
+    methodNotAllowed: ({ route }, allow) => {
+        if (route.securityHeaders === SECURITY_HEADER_PROFILES.API) {
+            return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+                status: 405,
+                headers: { 'Content-Type': 'application/json', 'Allow': allow },
+            });
+        }
+        return new Response(getErrorPage('Method not allowed.'), {
+            status: 405,
+            headers: { 'Content-Type': 'text/html; charset=utf-8', 'Allow': allow },
+        });
+    },
+});
 
 export default {
     async fetch(request, env, ctx) {
@@ -53,135 +62,14 @@ export default {
             // Get configuration from environment variables
             const config = getConfig(env);
 
-            const url = new URL(request.url);
-
             // Log incoming request (only if debug logging enabled)
             log(config, 'info', 'Incoming request', {
                 method: request.method,
-                pathname: url.pathname,
+                pathname: new URL(request.url).pathname,
                 userAgent: request.headers.get('User-Agent')?.substring(0, 50)
             });
 
-            // Health check (no rate limiting)
-            if (url.pathname === '/health') {
-                return handleHealth();
-            }
-
-            // Privacy policy (no rate limiting)
-            if (url.pathname === '/privacy') {
-                return handlePrivacy(request);
-            }
-
-            // App-specific privacy policy (no rate limiting)
-            if (url.pathname === '/privacy-app') {
-                return handleAppPrivacy(request);
-            }
-
-            // ads.txt for Google AdSense (no rate limiting)
-            if (url.pathname === '/ads.txt') {
-                return handleAdsTxt(request, config);
-            }
-
-            // app-ads.txt for Google AdMob (no rate limiting)
-            if (url.pathname === '/app-ads.txt') {
-                return handleAppAdsTxt(request, config);
-            }
-
-            // Android App Links verification (no rate limiting)
-            if (url.pathname === '/.well-known/assetlinks.json') {
-                return handleAssetLinks(request);
-            }
-
-            // iOS Universal Links verification (no rate limiting)
-            if (url.pathname === '/.well-known/apple-app-site-association') {
-                return handleAppleAppSiteAssociation(request);
-            }
-
-            // Content pages (no rate limiting)
-            if (url.pathname === '/about') {
-                return handleAbout(request, config);
-            }
-
-            if (url.pathname === '/contact') {
-                return handleContact(request, config);
-            }
-
-            if (url.pathname === '/faq') {
-                return handleFaq(request, config);
-            }
-
-            if (url.pathname === '/how-it-works') {
-                return handleHowItWorks(request, config);
-            }
-
-            if (url.pathname === '/features') {
-                return handleFeatures(request, config);
-            }
-
-            // Apply rate limiting to share links (/s/*) and homepage
-            if (url.pathname.startsWith('/s/') || url.pathname.startsWith('/p/') || url.pathname === '/') {
-                // Get client IP
-                const clientIp = getClientIp(request);
-
-                // Check rate limit (only if KV namespace is available)
-                if (env.RATE_LIMIT) {
-                    const rateLimitResult = await rateLimiter.checkLimit(clientIp, env.RATE_LIMIT);
-
-                    if (!rateLimitResult.allowed) {
-                        return createRateLimitResponse(rateLimitResult.retryAfter || 60);
-                    }
-                }
-            }
-
-            // API Proxy for UniTune API (to avoid CORS issues)
-            if (url.pathname === '/api/song') {
-                return handleApiProxy(url, config);
-            }
-
-            // Donations API
-            if (url.pathname === '/api/donations') {
-                return handleDonationsAPI(config, env);
-            }
-
-            // Ko-fi Webhook
-            if (url.pathname === '/api/kofi-webhook') {
-                return handleKofiWebhook(request, config, env);
-            }
-
-            // App version info — no user data processed
-            if (url.pathname === '/api/version') {
-                return handleVersion(request);
-            }
-
-            // Handle OPTIONS requests for CORS preflight
-            if (request.method === 'OPTIONS') {
-                return handleOptionsRequest();
-            }
-
-            // Handle share links: /s/{encodedUrl}
-            if (url.pathname.startsWith('/s/')) {
-                return handleShareLink(url.pathname, request, config, env);
-            }
-
-            if (url.pathname.startsWith('/p/')) {
-                return handlePlaylistLink(url.pathname, request, config, env);
-            }
-
-            // Homepage
-            if (url.pathname === '/') {
-                return handleHomepage(request, config);
-            }
-
-            // 404 for everything else
-            const errorContent = getErrorPage('Page not found.');
-            const errorResponse = new Response(errorContent, {
-                headers: {
-                    'Content-Type': 'text/html; charset=utf-8',
-                },
-                status: 404,
-            });
-
-            return addSecurityHeaders(await addCacheHeaders(errorResponse, CACHE_CONFIG.ERROR_PAGES));
+            return await handleRequest(request, { config, env, ctx });
         } catch (error) {
             // Global error handler - catch any unhandled errors
             // Log error details when debug logging is enabled
@@ -192,15 +80,21 @@ export default {
             });
 
             // Return generic error page without exposing error details or stack traces
-            const errorContent = getErrorPage('An unexpected error occurred. Please try again later.');
-            const errorResponse = new Response(errorContent, {
-                headers: {
-                    'Content-Type': 'text/html; charset=utf-8',
-                },
-                status: 500,
-            });
-
-            return addSecurityHeaders(await addCacheHeaders(errorResponse, CACHE_CONFIG.ERROR_PAGES));
+            return createErrorResponse('An unexpected error occurred. Please try again later.', 500);
         }
     },
 };
+
+/**
+ * Uncached HTML error page (404 for unknown paths, 500 for unhandled errors)
+ */
+async function createErrorResponse(message, status) {
+    const errorResponse = new Response(getErrorPage(message), {
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+        },
+        status,
+    });
+
+    return addSecurityHeaders(await addCacheHeaders(errorResponse, CACHE_CONFIG.ERROR_PAGES));
+}